@@ -0,0 +1,239 @@
+// Commit Message Analyzer
+import { getRepoRoot, readGitLog } from './git-analyzer.js';
+
+// Commit types from the Conventional Commits convention, with their changelog headings,
+// in the order the changelog lists them
+const COMMIT_TYPES = {
+  feat: 'Features',
+  fix: 'Bug Fixes',
+  perf: 'Performance Improvements',
+  revert: 'Reverts',
+  refactor: 'Code Refactoring',
+  docs: 'Documentation',
+  build: 'Build System',
+  ci: 'Continuous Integration',
+  test: 'Tests',
+  style: 'Styles',
+  chore: 'Chores'
+};
+
+// "type(scope)!: description"
+const HEADER_PATTERN = /^(\w+)(?:\(([^()]*)\))?(!)?: (\S.*)$/;
+
+// "BREAKING CHANGE: note" (or "BREAKING-CHANGE") footer at the start of a line of the body.
+// The note can span lines, up to a blank line, the next footer or the end of the body.
+const BREAKING_FOOTER_PATTERN = /(?:^|\n)BREAKING[ -]CHANGE: ([\s\S]+?)(?=\n\s*\n|\n[\w-]+: |(?![\s\S]))/;
+
+export async function analyzeCommits(directory, options = {}) {
+  const opts = {
+    revision: '',         // Range such as 'v1.0..v2.0', instead of all of HEAD's history
+    since: '',            // e.g., '1 month ago'
+    until: '',            // e.g., '2024-01-01'
+    maxCommits: Infinity,
+    includeMergeCommits: false,
+    types: Object.keys(COMMIT_TYPES), // Accepted commit types
+    ...options
+  };
+
+  const repoRoot = await getRepoRoot(directory);
+
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
+  }
+
+  // Only commits that touched the directory, so packages of a monorepo get their own history
+  // (author aliases and bot filtering are passed through)
+  const log = await readGitLog(directory, {
+    ...opts,
+    pathspec: ['.'],
+    numstat: false,
+    body: true
+  });
+
+  const commits = log.map(commit => {
+    const parsed = parseConventionalCommit(commit.subject, commit.body);
+    const reason = !parsed
+      ? 'not in "type(scope): description" form'
+      : !opts.types.includes(parsed.type) ? `unknown type "${parsed.type}"` : null;
+
+    return {
+      hash: commit.hash,
+      author: commit.author,
+      date: commit.date,
+      subject: commit.subject,
+      ...(parsed || { type: null, scope: null, breaking: false, description: commit.subject, breakingNote: null }),
+      conforming: !reason,
+      ...(reason ? { reason } : {})
+    };
+  });
+
+  const conforming = commits.filter(commit => commit.conforming);
+
+  // Count commits per type
+  const types = {};
+  conforming.forEach(commit => {
+    types[commit.type] = (types[commit.type] || 0) + 1;
+  });
+
+  // Activity per scope; commits are newest first
+  const scopes = new Map();
+
+  conforming.filter(commit => commit.scope).forEach(commit => {
+    if (!scopes.has(commit.scope)) {
+      scopes.set(commit.scope, { scope: commit.scope, commits: 0, types: {}, authors: [], lastCommit: commit.date });
+    }
+
+    const entry = scopes.get(commit.scope);
+    entry.commits++;
+    entry.types[commit.type] = (entry.types[commit.type] || 0) + 1;
+
+    if (!entry.authors.includes(commit.author)) {
+      entry.authors.push(commit.author);
+    }
+  });
+
+  const nonConforming = commits
+    .filter(commit => !commit.conforming)
+    .map(({ hash, author, date, subject, reason }) => ({ hash, author, date, subject, reason }));
+
+  return {
+    isGitRepo: true,
+    repoRoot,
+    revision: opts.revision || null,
+    commits,
+    types,
+    scopes: Array.from(scopes.values()).sort((a, b) => b.commits - a.commits || a.scope.localeCompare(b.scope)),
+    breakingChanges: conforming.filter(commit => commit.breaking),
+    nonConforming,
+    summary: {
+      total: commits.length,
+      conforming: conforming.length,
+      nonConforming: nonConforming.length,
+      conformance: commits.length > 0 ? Math.round((conforming.length / commits.length) * 100) : 100,
+      breaking: conforming.filter(commit => commit.breaking).length
+    }
+  };
+}
+
+// Parse a Conventional Commits message, or return null if it doesn't follow the convention
+export function parseConventionalCommit(subject, body = '') {
+  const match = subject.match(HEADER_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const footer = body.match(BREAKING_FOOTER_PATTERN);
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] ? match[2].trim() : null,
+    breaking: Boolean(match[3] || footer),
+    description: match[4].trim(),
+    breakingNote: footer ? footer[1].trim() : null
+  };
+}
+
+// Generate a Markdown changelog section, grouped by commit type
+export function generateChangelog(results, options = {}) {
+  const opts = {
+    version: 'Unreleased',
+    date: results.commits.length > 0 ? results.commits[0].date : new Date(),
+    includeOther: false, // List commits that don't follow the convention under "Other Changes"
+    ...options
+  };
+
+  const formatEntry = (commit, text = commit.description) =>
+    `- ${commit.scope ? `**${commit.scope}:** ` : ''}${text} (${commit.hash.slice(0, 7)})\n`;
+
+  let markdown = `## ${opts.version} (${new Date(opts.date).toISOString().slice(0, 10)})\n\n`;
+
+  if (results.breakingChanges.length > 0) {
+    markdown += '### BREAKING CHANGES\n\n';
+    results.breakingChanges.forEach(commit => {
+      markdown += formatEntry(commit, commit.breakingNote || commit.description);
+    });
+    markdown += '\n';
+  }
+
+  Object.entries(COMMIT_TYPES).forEach(([type, heading]) => {
+    const commits = results.commits.filter(commit => commit.conforming && commit.type === type);
+
+    if (commits.length === 0) return;
+
+    markdown += `### ${heading}\n\n`;
+    commits.forEach(commit => {
+      markdown += formatEntry(commit);
+    });
+    markdown += '\n';
+  });
+
+  // Accepted types without a heading of their own
+  const otherTypes = results.commits.filter(commit => commit.conforming && !COMMIT_TYPES[commit.type]);
+  const other = opts.includeOther ? [...otherTypes, ...results.commits.filter(commit => !commit.conforming)] : otherTypes;
+
+  if (other.length > 0) {
+    markdown += '### Other Changes\n\n';
+    other.forEach(commit => {
+      markdown += formatEntry(commit);
+    });
+    markdown += '\n';
+  }
+
+  return markdown;
+}
+
+// Insert a changelog section above the newest release in an existing changelog.
+// An existing Unreleased section is replaced, since the new section covers the same commits.
+export function updateChangelog(content, section) {
+  if (!content.trim()) {
+    return `# Changelog\n\n${section}`;
+  }
+
+  const firstRelease = content.search(/^## /m);
+
+  if (firstRelease === -1) {
+    return `${content.trimEnd()}\n\n${section}`;
+  }
+
+  let rest = content.slice(firstRelease);
+
+  if (/^## \[?unreleased\b/i.test(rest)) {
+    const nextRelease = rest.slice(3).search(/^## /m);
+    rest = nextRelease === -1 ? '' : rest.slice(nextRelease + 3);
+  }
+
+  // Keep a blank line between the new section and the release below it
+  return `${content.slice(0, firstRelease)}${section.trimEnd()}\n${rest ? `\n${rest}` : ''}`;
+}
+
+// Format commit analysis as a tree
+export function formatCommitsAsTree(results) {
+  const { summary } = results;
+  let result = `Commits (${summary.total} commits, ${summary.conformance}% conventional, ${summary.breaking} breaking)\n`;
+
+  const sections = [
+    ['Types', Object.entries(results.types)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${type}: ${count}`)],
+    ['Scopes', results.scopes.map(scope =>
+      `${scope.scope}: ${scope.commits} commits by ${scope.authors.length} authors (${Object.entries(scope.types).map(([type, count]) => `${count} ${type}`).join(', ')})`
+    )],
+    ['Non-conforming', results.nonConforming.map(commit => `${commit.hash.slice(0, 7)} ${commit.subject} - ${commit.reason}`)]
+  ].filter(([, lines]) => lines.length > 0);
+
+  sections.forEach(([title, lines], index) => {
+    const isLast = index === sections.length - 1;
+    const prefix = isLast ? '    ' : '│   ';
+
+    result += `${isLast ? '└── ' : '├── '}${title}\n`;
+    lines.forEach((line, lineIndex) => {
+      result += `${prefix}${lineIndex === lines.length - 1 ? '└── ' : '├── '}${line}\n`;
+    });
+  });
+
+  return result;
+}
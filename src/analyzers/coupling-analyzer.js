@@ -0,0 +1,418 @@
+// Temporal Coupling Analyzer
+import { getRepoRoot, readGitLog, collectRepoFiles } from './git-analyzer.js';
+import { analyzeDependencies } from './dependency-analyzer.js';
+
+// File types the dependency analyzer reads imports from. Between other files,
+// a missing import link says nothing about a hidden dependency
+const IMPORT_EXTENSIONS = ['js', 'jsx', 'ts', 'tsx', 'py'];
+
+export async function analyzeTemporalCoupling(structure, options = {}) {
+  const opts = {
+    maxCommits: 1000,        // Commits in the analyzed window
+    since: '',               // e.g., '6 months ago'
+    until: '',               // e.g., '2024-01-01'
+    revision: '',            // Range such as 'v1.0..v2.0', instead of all of HEAD's history
+    minSharedCommits: 3,     // Ignore pairs that changed together fewer times than this
+    minCoupling: 0.3,        // Ignore pairs with a lower coupling ratio (0-1)
+    maxFilesPerCommit: 30,   // Skip bulk commits (formatting, renames, vendoring) that couple everything
+    limit: 100,              // Number of pairs to return
+    ...options
+  };
+
+  const repoRoot = await getRepoRoot(structure.path);
+
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
+  }
+
+  // Only commits that touched the scanned directory. Author aliases and bot filtering
+  // are passed through, so commits by excluded authors are left out
+  const commits = await readGitLog(structure.path, { ...opts, numstat: true, pathspec: ['.'] });
+
+  // Only files that still exist in the scanned structure are considered
+  const repoFiles = collectRepoFiles(structure, repoRoot);
+  const nodesByPath = new Map(repoFiles.map(file => [file.path, file.node]));
+
+  const revisions = new Map();
+  const shared = new Map();
+  let skippedCommits = 0;
+
+  commits.forEach(commit => {
+    const files = [...new Set(commit.files.map(file => file.path))]
+      .filter(file => nodesByPath.has(file))
+      .sort();
+
+    if (files.length > opts.maxFilesPerCommit) {
+      skippedCommits++;
+      return;
+    }
+
+    files.forEach((file, index) => {
+      revisions.set(file, (revisions.get(file) || 0) + 1);
+
+      for (let i = index + 1; i < files.length; i++) {
+        const key = `${file}\0${files[i]}`;
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    });
+  });
+
+  const staticLinks = findStaticLinks(structure, nodesByPath);
+
+  // Coupling is the share of their changes two files made together:
+  // shared commits relative to the average number of commits touching either file
+  const pairs = [];
+
+  shared.forEach((sharedCommits, key) => {
+    if (sharedCommits < opts.minSharedCommits) return;
+
+    const [fileA, fileB] = key.split('\0');
+    const revisionsA = revisions.get(fileA);
+    const revisionsB = revisions.get(fileB);
+    const coupling = sharedCommits / ((revisionsA + revisionsB) / 2);
+
+    if (coupling < opts.minCoupling) return;
+
+    pairs.push({
+      fileA,
+      fileB,
+      sharedCommits,
+      revisionsA,
+      revisionsB,
+      coupling: Math.round(coupling * 100) / 100,
+      // null when import information is missing for either file
+      staticLink: staticLinks && staticLinks.files.has(fileA) && staticLinks.files.has(fileB)
+        ? staticLinks.links.has(key)
+        : null
+    });
+  });
+
+  pairs.sort((a, b) => b.coupling - a.coupling || b.sharedCommits - a.sharedCommits);
+
+  const hiddenDependencies = pairs.filter(pair => pair.staticLink === false);
+
+  return {
+    isGitRepo: true,
+    repoRoot,
+    pairs: pairs.slice(0, opts.limit),
+    hiddenDependencies: hiddenDependencies.slice(0, opts.limit),
+    summary: {
+      commitsAnalyzed: commits.length - skippedCommits,
+      skippedCommits,
+      filesAnalyzed: revisions.size,
+      coupledPairs: pairs.length,
+      hiddenDependencies: hiddenDependencies.length,
+      staticAnalysis: Boolean(staticLinks)
+    }
+  };
+}
+
+// Format coupled pairs as a tree
+export function formatCouplingAsTree(results) {
+  const { pairs, summary } = results;
+  let result = `Temporal coupling (${summary.coupledPairs} pairs over ${summary.commitsAnalyzed} commits`;
+  result += summary.staticAnalysis ? `, ${summary.hiddenDependencies} without an import link)\n` : ')\n';
+
+  pairs.forEach((pair, index) => {
+    const isLast = index === pairs.length - 1;
+    const prefix = isLast ? '    ' : '│   ';
+    const hidden = pair.staticLink === false ? ' [no import link]' : '';
+
+    result += `${isLast ? '└── ' : '├── '}${pair.fileA} - ${Math.round(pair.coupling * 100)}% (${pair.sharedCommits} shared commits)${hidden}\n`;
+    result += `${prefix}└── ${pair.fileB}\n`;
+  });
+
+  return result;
+}
+
+// Generate HTML report with a coupling matrix
+export function generateCouplingReport(results, options = {}) {
+  const opts = {
+    title: 'Temporal Coupling Analysis',
+    maxMatrixFiles: 30,
+    ...options
+  };
+
+  // The matrix shows the files of the strongest pairs
+  const matrixFiles = [];
+
+  for (const pair of results.pairs) {
+    [pair.fileA, pair.fileB].forEach(file => {
+      if (!matrixFiles.includes(file) && matrixFiles.length < opts.maxMatrixFiles) {
+        matrixFiles.push(file);
+      }
+    });
+
+    if (matrixFiles.length >= opts.maxMatrixFiles) break;
+  }
+
+  matrixFiles.sort();
+
+  const pairsByKey = new Map();
+  results.pairs.forEach(pair => {
+    pairsByKey.set(`${pair.fileA}\0${pair.fileB}`, pair);
+    pairsByKey.set(`${pair.fileB}\0${pair.fileA}`, pair);
+  });
+
+  const renderCell = (fileA, fileB) => {
+    if (fileA === fileB) {
+      return '<td class="self"></td>';
+    }
+
+    const pair = pairsByKey.get(`${fileA}\0${fileB}`);
+
+    if (!pair) {
+      return '<td></td>';
+    }
+
+    const percentage = Math.round(pair.coupling * 100);
+    const hidden = pair.staticLink === false ? ' hidden-dependency' : '';
+    const title = `${fileA} / ${fileB}: ${percentage}% (${pair.sharedCommits} shared commits)`;
+
+    return `<td class="cell${hidden}" style="background-color: rgba(220, 53, 69, ${pair.coupling.toFixed(2)})" title="${escapeHtml(title)}">${percentage}</td>`;
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${opts.title}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .section {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+      overflow-x: auto;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem;
+      text-align: left;
+      border-bottom: 1px solid #dee2e6;
+    }
+
+    th {
+      background-color: #f8f9fa;
+    }
+
+    .matrix {
+      width: auto;
+    }
+
+    .matrix th, .matrix td {
+      padding: 0.25rem;
+      border: 1px solid #dee2e6;
+      font-size: 0.8rem;
+      text-align: center;
+      min-width: 2rem;
+    }
+
+    .matrix th.row-label {
+      text-align: right;
+      white-space: nowrap;
+    }
+
+    .matrix th.column-label {
+      writing-mode: vertical-rl;
+      transform: rotate(180deg);
+      white-space: nowrap;
+      text-align: left;
+    }
+
+    .matrix td.self {
+      background-color: #e9ecef;
+    }
+
+    .matrix td.hidden-dependency {
+      outline: 2px dashed #333;
+      outline-offset: -3px;
+      font-weight: bold;
+    }
+
+    .badge {
+      display: inline-block;
+      padding: 0.1rem 0.5rem;
+      border-radius: 4px;
+      font-size: 0.8rem;
+      background-color: #fff3cd;
+      color: #856404;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${opts.title}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Commits Analyzed</h3>
+        <p>${results.summary.commitsAnalyzed}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Coupled Pairs</h3>
+        <p>${results.summary.coupledPairs}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Without Import Link</h3>
+        <p>${results.summary.staticAnalysis ? results.summary.hiddenDependencies : 'N/A'}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Bulk Commits Skipped</h3>
+        <p>${results.summary.skippedCommits}</p>
+      </div>
+    </div>
+
+    <div class="section">
+      <h2>Coupling Matrix</h2>
+      <p>Percentage of their changes two files made in the same commit. Dashed cells have no import link between the files.</p>
+      <table class="matrix">
+        <thead>
+          <tr>
+            <th></th>
+            ${matrixFiles.map(file => `<th class="column-label" title="${escapeHtml(file)}">${escapeHtml(file)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${matrixFiles.map(fileA => `
+          <tr>
+            <th class="row-label">${escapeHtml(fileA)}</th>
+            ${matrixFiles.map(fileB => renderCell(fileA, fileB)).join('')}
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="section">
+      <h2>Coupled Pairs</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>File</th>
+            <th>Coupling</th>
+            <th>Shared Commits</th>
+            <th>Import Link</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${results.pairs.map(pair => `
+          <tr>
+            <td>${escapeHtml(pair.fileA)} (${pair.revisionsA})</td>
+            <td>${escapeHtml(pair.fileB)} (${pair.revisionsB})</td>
+            <td>${Math.round(pair.coupling * 100)}%</td>
+            <td>${pair.sharedCommits}</td>
+            <td>${pair.staticLink === null ? 'N/A' : pair.staticLink ? 'Yes' : '<span class="badge">Hidden</span>'}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Collect the file pairs connected by an import in either direction, keyed like the
+// co-change pairs, along with the files whose imports were read. Returns null when
+// the structure has no content to analyze.
+function findStaticLinks(structure, nodesByPath) {
+  const repoPaths = new Map();
+  const files = new Set();
+
+  nodesByPath.forEach((node, repoPath) => {
+    repoPaths.set(node.path, repoPath);
+
+    if (node.content !== undefined && IMPORT_EXTENSIONS.includes(node.extension)) {
+      files.add(repoPath);
+    }
+  });
+
+  if (files.size === 0) {
+    return null;
+  }
+
+  const dependencies = analyzeDependencies(structure, { includeExternalDeps: false });
+  const links = new Set();
+
+  dependencies.edges.forEach(edge => {
+    const source = repoPaths.get(dependencies.nodes[edge.source].path);
+    const target = repoPaths.get(dependencies.nodes[edge.target].path);
+
+    if (source && target) {
+      links.add(source < target ? `${source}\0${target}` : `${target}\0${source}`);
+    }
+  });
+
+  return { links, files };
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
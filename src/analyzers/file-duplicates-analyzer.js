@@ -0,0 +1,272 @@
+// Duplicate File Finder
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { formatSize } from '../core.js';
+
+export async function findDuplicateFiles(structure, options = {}) {
+  const opts = {
+    minSize: 1,          // Ignore files smaller than this (empty files are all identical)
+    algorithm: 'md5',    // Hash algorithm; precomputed hashes are only reused if made with the same one
+    ...options
+  };
+
+  if (!Number.isFinite(opts.minSize) || opts.minSize < 0) {
+    throw new Error(`Invalid minimum size: ${opts.minSize}`);
+  }
+
+  // Collect files and group them by size first, so only same-size files get hashed
+  const filesBySize = new Map();
+
+  async function collectFiles(node) {
+    if (node.type === 'file') {
+      let size = node.size;
+
+      if (size === undefined) {
+        try {
+          size = (await fs.promises.stat(node.path)).size;
+        } catch (error) {
+          return;
+        }
+      }
+
+      if (size < opts.minSize) return;
+
+      if (!filesBySize.has(size)) {
+        filesBySize.set(size, []);
+      }
+
+      filesBySize.get(size).push(node);
+    }
+
+    if (node.children) {
+      for (const child of node.children) {
+        await collectFiles(child);
+      }
+    }
+  }
+
+  await collectFiles(structure);
+
+  const groups = [];
+
+  for (const [size, files] of filesBySize) {
+    if (files.length < 2) continue;
+
+    // Then group same-size files by content hash
+    const filesByHash = new Map();
+
+    for (const file of files) {
+      // Hashes made with different algorithms can't be compared, so only reuse matching ones
+      const hash = file.hash && file.hashAlgorithm === opts.algorithm
+        ? file.hash
+        : await hashFile(file.path, opts.algorithm);
+      if (!hash) continue;
+
+      if (!filesByHash.has(hash)) {
+        filesByHash.set(hash, []);
+      }
+
+      filesByHash.get(hash).push(file.relativePath);
+    }
+
+    for (const [hash, paths] of filesByHash) {
+      if (paths.length < 2) continue;
+
+      // Every copy beyond the first is wasted space
+      const wastedBytes = size * (paths.length - 1);
+
+      groups.push({
+        hash,
+        size,
+        sizeFormatted: formatSize(size),
+        count: paths.length,
+        wastedBytes,
+        wastedFormatted: formatSize(wastedBytes),
+        files: paths.sort()
+      });
+    }
+  }
+
+  groups.sort((a, b) => b.wastedBytes - a.wastedBytes || a.files[0].localeCompare(b.files[0]));
+
+  const wastedBytes = groups.reduce((sum, group) => sum + group.wastedBytes, 0);
+
+  return {
+    groups,
+    summary: {
+      groupCount: groups.length,
+      duplicateFileCount: groups.reduce((sum, group) => sum + group.count, 0),
+      wastedBytes,
+      wastedFormatted: formatSize(wastedBytes)
+    }
+  };
+}
+
+// Format duplicate file groups as a tree string
+export function formatDuplicateFilesAsTree(duplicates) {
+  const { summary, groups } = duplicates;
+  let result = `Duplicate files (${summary.groupCount} groups, ${summary.wastedFormatted} wasted)\n`;
+
+  groups.forEach((group, groupIndex) => {
+    const isLastGroup = groupIndex === groups.length - 1;
+    result += `${isLastGroup ? '└── ' : '├── '}${group.hash.slice(0, 12)} (${group.count} files, ${group.sizeFormatted} each, ${group.wastedFormatted} wasted)\n`;
+
+    group.files.forEach((file, fileIndex) => {
+      const prefix = isLastGroup ? '    ' : '│   ';
+      result += `${prefix}${fileIndex === group.files.length - 1 ? '└── ' : '├── '}${file}\n`;
+    });
+  });
+
+  return result;
+}
+
+// Generate HTML report for duplicate files
+export function generateDuplicateFilesReport(duplicates, options = {}) {
+  const opts = {
+    title: 'Duplicate Files Report',
+    ...options
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(opts.title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .group {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 1rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .group h3 {
+      margin: 0 0 0.5rem;
+      font-family: monospace;
+    }
+
+    .group-meta {
+      color: #666;
+      margin-bottom: 0.5rem;
+    }
+
+    .group ul {
+      margin: 0;
+      padding-left: 1.5rem;
+    }
+
+    .wasted {
+      color: #dc3545;
+      font-weight: bold;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(opts.title)}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Duplicate Groups</h3>
+        <p>${duplicates.summary.groupCount}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Duplicate Files</h3>
+        <p>${duplicates.summary.duplicateFileCount}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Wasted Space</h3>
+        <p>${duplicates.summary.wastedFormatted}</p>
+      </div>
+    </div>
+
+    ${duplicates.groups.length === 0 ? '<p>No duplicate files found.</p>' : ''}
+
+    ${duplicates.groups.map(group => `
+    <div class="group">
+      <h3>${group.hash}</h3>
+      <div class="group-meta">
+        ${group.count} files &middot; ${group.sizeFormatted} each &middot;
+        <span class="wasted">${group.wastedFormatted} wasted</span>
+      </div>
+      <ul>
+        ${group.files.map(file => `<li>${escapeHtml(file)}</li>`).join('')}
+      </ul>
+    </div>
+    `).join('')}
+  </div>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Hash a file by streaming its content
+function hashFile(filePath, algorithm) {
+  return new Promise(resolve => {
+    const hash = createHash(algorithm);
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', () => resolve(null));
+  });
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
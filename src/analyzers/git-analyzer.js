@@ -1,305 +1,613 @@
 // Git History Analyzer
-import { execSync } from 'child_process';
+import { execFile, spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
 
-export function analyzeGitHistory(structure, options = {}) {
+// Separators used in the log format; they can't appear in names, emails or subjects
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+
+// Settings that would change the output the parsers expect, whatever the user's git config says
+const GIT_CONFIG_OVERRIDES = [
+  '-c', 'log.showSignature=false', // GPG output would be mixed into the log
+  '-c', 'diff.relative=false',     // numstat paths must stay relative to the repository root
+  '-c', 'core.quotePath=false'     // Blame prints file names as they are
+];
+
+// Automated accounts left out with excludeBots, matched against author names and emails
+const BOT_PATTERNS = [
+  /\[bot\]/i,
+  /^dependabot\b/i,
+  /^renovate\b/i,
+  /^greenkeeper\b/i,
+  /^snyk-bot\b/i,
+  /^github-actions\b/i,
+  /^semantic-release-bot\b/i
+];
+
+export async function analyzeGitHistory(structure, options = {}) {
   const opts = {
-    maxCommits: 500,
+    maxCommits: 500, // Commits listed in the timeline and contributors; file history is not capped
     includeMergeCommits: false,
     since: '', // e.g., '1 month ago'
+    until: '', // e.g., '2024-01-01'
+    revision: '', // Commit range such as 'v1.0..v2.0', instead of all of HEAD's history
+    blame: false, // Run git blame for every file (slow on large repositories)
+    blameConcurrency: 4, // Maximum number of git blame processes at once
+    lineDates: false, // Include the date of every blamed line (see getFileBlame)
+    aliases: {}, // Extra identities on top of .mailmap, e.g. { 'jdoe@old.com': 'Jane Doe <jane@example.com>' }
+    excludeBots: false, // Leave out dependabot, renovate and other automated accounts
+    botPatterns: [], // More author names or emails to leave out (regular expressions)
     ...options
   };
   
-  // Check if directory is a git repository
-  function isGitRepo(directory) {
-    try {
-      execSync('git rev-parse --is-inside-work-tree', { 
-        cwd: directory,
-        stdio: 'ignore' 
-      });
-      return true;
-    } catch (error) {
-      return false;
-    }
-  }
+  const directory = structure.path;
+  const repoRoot = await getRepoRoot(directory);
   
-  // Get repository root
-  function getRepoRoot(directory) {
-    try {
-      return execSync('git rev-parse --show-toplevel', { 
-        cwd: directory,
-        encoding: 'utf8' 
-      }).trim();
-    } catch (error) {
-      return null;
-    }
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
   }
   
-  // Get commit history
-  function getCommitHistory(directory) {
-    const sinceOption = opts.since ? `--since="${opts.since}"` : '';
-    const mergeOption = opts.includeMergeCommits ? '' : '--no-merges';
-    const format = '%H|%an|%ae|%at|%s';
-    
-    try {
-      const command = `git log ${mergeOption} ${sinceOption} -n ${opts.maxCommits} --pretty=format:"${format}"`;
-      const output = execSync(command, { 
-        cwd: directory,
-        encoding: 'utf8' 
-      });
-      
-      return output.split('\n').filter(Boolean).map(line => {
-        const [hash, author, email, timestamp, subject] = line.split('|');
-        return {
-          hash,
-          author,
-          email,
-          date: new Date(parseInt(timestamp) * 1000),
-          subject
-        };
-      });
-    } catch (error) {
-      return [];
-    }
-  }
+  // The uncapped log gives churn and the full history of every file, limited to commits that
+  // touched the scanned directory. The commit list and contributors come from a capped read
+  // without file changes, unless there is no cap
+  const log = await readGitLog(directory, { ...opts, maxCommits: Infinity, pathspec: ['.'] });
+  const commits = Number.isFinite(opts.maxCommits)
+    ? await readGitLog(directory, { ...opts, numstat: false, pathspec: ['.'] })
+    : log;
+  const contributors = getContributors(commits);
+  const fileStats = getFileStats(log);
   
-  // Get file history
-  function getFileHistory(filePath, directory) {
-    try {
-      const command = `git log --follow --pretty=format:"%H|%an|%ae|%at|%s" -- "${filePath}"`;
-      const output = execSync(command, { 
-        cwd: directory,
-        encoding: 'utf8' 
-      });
-      
-      return output.split('\n').filter(Boolean).map(line => {
-        const [hash, author, email, timestamp, subject] = line.split('|');
-        return {
-          hash,
-          author,
-          email,
-          date: new Date(parseInt(timestamp) * 1000),
-          subject
-        };
-      });
-    } catch (error) {
-      return [];
+  const fileChurn = Array.from(fileStats.values())
+    .sort((a, b) => b.changes - a.changes || a.file.localeCompare(b.file))
+    .slice(0, 50)
+    .map(({ file, changes, additions, deletions }) => ({ changes, file, additions, deletions }));
+  
+  // Analyze files in the structure
+  const structureFiles = collectRepoFiles(structure, repoRoot).map(file => file.path);
+  
+  const blameRevision = getBlameRevision(commits, opts);
+  const blames = opts.blame && blameRevision !== null
+    ? await blameFiles(repoRoot, structureFiles, opts.blameConcurrency, { ...opts, revision: blameRevision })
+    : [];
+  
+  const files = structureFiles.map((relativePath, index) => {
+    const stats = fileStats.get(relativePath);
+    const history = stats ? stats.history : [];
+    const blame = blames[index] || [];
+    
+    // Without blame, authorship comes from the number of commits per author
+    const authors = blame.length > 0 ? blame : getHistoryAuthors(history);
+    
+    return {
+      path: relativePath,
+      history,
+      blame,
+      lastModified: history.length > 0 ? history[0].date : null,
+      authors: authors.map(a => a.author),
+      mainAuthor: authors.length > 0 ? authors[0].author : null,
+      mainAuthorPercentage: authors.length > 0 ? authors[0].percentage : 0,
+      changes: history.length,
+      additions: stats ? stats.additions : 0,
+      deletions: stats ? stats.deletions : 0
+    };
+  });
+  
+  // Calculate commit frequency over time. The dates are reduced rather than spread into
+  // Math.min, which runs out of stack with very long histories
+  const commitDates = commits.map(commit => commit.date);
+  const oldestCommit = commitDates.length > 0 ? commitDates.reduce((oldest, date) => (date < oldest ? date : oldest)) : null;
+  const newestCommit = commitDates.length > 0 ? commitDates.reduce((newest, date) => (date > newest ? date : newest)) : null;
+  
+  // Group commits by month
+  const commitsByMonth = {};
+  
+  commits.forEach(commit => {
+    const date = commit.date;
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    
+    if (!commitsByMonth[monthKey]) {
+      commitsByMonth[monthKey] = {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        count: 0,
+        authors: new Set()
+      };
     }
-  }
+    
+    commitsByMonth[monthKey].count++;
+    commitsByMonth[monthKey].authors.add(commit.author);
+  });
   
-  // Get file blame information
-  function getFileBlame(filePath, directory) {
-    try {
-      const command = `git blame -w -M -C --line-porcelain "${filePath}"`;
-      const output = execSync(command, { 
-        cwd: directory,
-        encoding: 'utf8',
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large files
-      });
+  // Convert to array and sort by date
+  const commitTimeline = Object.values(commitsByMonth).map(month => ({
+    ...month,
+    authors: Array.from(month.authors)
+  })).sort((a, b) => {
+    if (a.year !== b.year) return a.year - b.year;
+    return a.month - b.month;
+  });
+  
+  return {
+    isGitRepo: true,
+    repoRoot,
+    scope: {
+      path: toPosixPath(path.relative(repoRoot, fs.realpathSync(directory))) || '.',
+      since: opts.since || null,
+      until: opts.until || null,
+      revision: opts.revision || null
+    },
+    commits: {
+      total: commits.length,
+      first: oldestCommit,
+      last: newestCommit,
+      timeline: commitTimeline
+    },
+    contributors: contributors.map(contributor => ({
+      ...contributor,
+      percentage: Math.round((contributor.commits / commits.length) * 100)
+    })),
+    files,
+    fileChurn
+  };
+}
+
+// Read the commit log with per-file line changes in a single git process.
+// Commits are returned newest first. File paths are relative to the repository root
+// and renames are followed: every change is recorded under the file's latest name,
+// with the name at the time of the commit in originalPath. Authors are normalized
+// with .mailmap and the identity options of createAuthorNormalizer.
+export async function readGitLog(directory, options = {}) {
+  const opts = {
+    maxCommits: 500,
+    includeMergeCommits: false,
+    since: '',
+    until: '',
+    numstat: true, // Set to false when only commit metadata is needed
+    firstParent: false, // Only follow the first parent of merges (the mainline)
+    revision: '', // Commit, tag or range to read instead of HEAD
+    pathspec: [], // Only commits touching these paths (relative to the directory); file changes are limited to them too
+    body: false, // Include the message body after the subject
+    ...options
+  };
+  
+  const normalizeAuthor = createAuthorNormalizer(opts);
+  
+  // %aN and %aE apply .mailmap
+  const fields = [`${RECORD_SEPARATOR}%H`, '%aN', '%aE', '%at', '%s'];
+  if (opts.body) fields.push('%b');
+  
+  const format = fields.join(FIELD_SEPARATOR);
+  const args = ['log', '-z', `--format=${format}`];
+  
+  if (opts.numstat) args.push('--numstat', '-M');
+  if (Number.isFinite(opts.maxCommits)) args.push('-n', String(opts.maxCommits));
+  if (!opts.includeMergeCommits) args.push('--no-merges');
+  if (opts.firstParent) args.push('--first-parent');
+  if (opts.since) args.push(`--since=${opts.since}`);
+  if (opts.until) args.push(`--until=${opts.until}`);
+  if (opts.revision) args.push(assertSafeRevision(opts.revision));
+  
+  args.push('--', ...opts.pathspec);
+  
+  const commits = [];
+  
+  // Historical path -> latest path, filled in as renames are met walking back in time
+  const renames = new Map();
+  
+  await streamGit(directory, args, RECORD_SEPARATOR, record => {
+    const tokens = record.split('\0');
+    const [hash, author, email, timestamp, subject, body] = tokens[0].split(FIELD_SEPARATOR);
+    const files = [];
+    
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i].replace(/^\n/, '');
+      const match = token.match(/^(\d+|-)\t(\d+|-)\t([\s\S]*)$/);
       
-      const lines = output.split('\n');
-      const blame = [];
-      let currentBlame = null;
+      if (!match) continue;
       
-      for (const line of lines) {
-        if (line.startsWith('author ')) {
-          currentBlame = {
-            author: line.substring(7),
-            lines: 1
-          };
-          blame.push(currentBlame);
-        } else if (line.startsWith('author-mail ')) {
-          currentBlame.email = line.substring(12).replace(/[<>]/g, '');
-        } else if (line.startsWith('author-time ')) {
-          currentBlame.timestamp = parseInt(line.substring(12));
-          currentBlame.date = new Date(currentBlame.timestamp * 1000);
-        } else if (line.startsWith('summary ')) {
-          currentBlame.summary = line.substring(8);
-        }
+      let originalPath = match[3];
+      let previousPath = null;
+      
+      // A rename has an empty path followed by the old and new paths
+      if (originalPath === '') {
+        previousPath = tokens[++i];
+        originalPath = tokens[++i];
       }
       
-      // Consolidate blame by author
-      const blameByAuthor = {};
+      const currentPath = renames.get(originalPath) || originalPath;
       
-      blame.forEach(item => {
-        if (!blameByAuthor[item.author]) {
-          blameByAuthor[item.author] = {
-            author: item.author,
-            email: item.email,
-            lines: 0,
-            commits: new Set()
-          };
-        }
-        
-        blameByAuthor[item.author].lines += item.lines;
-        if (item.summary) {
-          blameByAuthor[item.author].commits.add(item.summary);
-        }
-      });
-      
-      // Convert to array and calculate percentages
-      const totalLines = blame.length;
-      const result = Object.values(blameByAuthor).map(author => ({
-        author: author.author,
-        email: author.email,
-        lines: author.lines,
-        percentage: Math.round((author.lines / totalLines) * 100),
-        commits: author.commits.size
-      }));
+      if (previousPath) {
+        renames.set(previousPath, currentPath);
+      }
       
-      return result.sort((a, b) => b.lines - a.lines);
-    } catch (error) {
-      return [];
-    }
-  }
-  
-  // Get contributors
-  function getContributors(directory) {
-    try {
-      const command = `git shortlog -sne --all`;
-      const output = execSync(command, { 
-        cwd: directory,
-        encoding: 'utf8' 
+      files.push({
+        path: currentPath,
+        ...(currentPath !== originalPath ? { originalPath } : {}),
+        ...(previousPath ? { previousPath } : {}),
+        additions: match[1] === '-' ? 0 : parseInt(match[1], 10),
+        deletions: match[2] === '-' ? 0 : parseInt(match[2], 10),
+        binary: match[1] === '-'
       });
-      
-      return output.split('\n').filter(Boolean).map(line => {
-        const match = line.match(/^\s*(\d+)\s+(.+?)\s+<(.+?)>$/);
-        if (match) {
-          return {
-            commits: parseInt(match[1]),
-            name: match[2],
-            email: match[3]
-          };
-        }
-        return null;
-      }).filter(Boolean);
-    } catch (error) {
-      return [];
     }
-  }
+    
+    // Commits by excluded authors still had to be read to follow their renames
+    const identity = normalizeAuthor(author, email);
+    
+    if (!identity) return;
+    
+    commits.push({
+      hash,
+      author: identity.name,
+      email: identity.email,
+      date: new Date(parseInt(timestamp, 10) * 1000),
+      subject,
+      ...(opts.body ? { body: body.trim() } : {}),
+      files
+    });
+  });
   
-  // Analyze file churn (frequency of changes)
-  function getFileChurn(directory) {
-    try {
-      const command = `git log --name-only --pretty=format: | grep -v '^$' | sort | uniq -c | sort -nr | head -n 50`;
-      const output = execSync(command, { 
-        cwd: directory,
-        encoding: 'utf8',
-        shell: '/bin/bash'
-      });
-      
-      return output.split('\n').filter(Boolean).map(line => {
-        const match = line.match(/^\s*(\d+)\s+(.+)$/);
-        if (match) {
-          return {
-            changes: parseInt(match[1]),
-            file: match[2]
-          };
-        }
-        return null;
-      }).filter(Boolean);
-    } catch (error) {
-      return [];
+  return commits;
+}
+
+// Create a function that maps an author to one identity per person, or to null for excluded authors.
+// Git already applies .mailmap; aliases map further names or emails to a name, or to a 'Name <email>' identity.
+export function createAuthorNormalizer(options = {}) {
+  const { aliases = {}, excludeBots = false, botPatterns = [] } = options;
+  
+  const patterns = [
+    ...(excludeBots ? BOT_PATTERNS : []),
+    ...botPatterns.map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')))
+  ];
+  
+  const identities = new Map(
+    Object.entries(aliases).map(([alias, identity]) => {
+      const match = identity.match(/^(.*?)\s*<([^>]*)>$/);
+      return [alias.toLowerCase(), match ? { name: match[1], email: match[2] } : { name: identity, email: null }];
+    })
+  );
+  
+  return (name, email) => {
+    if (patterns.some(pattern => pattern.test(name) || pattern.test(email || ''))) {
+      return null;
     }
-  }
+    
+    const identity = identities.get((email || '').toLowerCase()) || identities.get(name.toLowerCase());
+    
+    return identity
+      ? { name: identity.name, email: identity.email || email }
+      : { name, email };
+  };
+}
+
+// List the tags of a repository, oldest first
+export async function listGitTags(directory) {
+  // Annotated tags point at a tag object; *objectname is the commit it points at
+  const format = ['%(refname:short)', '%(objectname)', '%(*objectname)', '%(creatordate:unix)', '%(subject)'].join('%1f');
+  const output = await runGit(directory, ['for-each-ref', '--sort=creatordate', `--format=${format}`, 'refs/tags']);
   
-  // Main analysis function
-  function analyzeRepository(directory) {
-    if (!isGitRepo(directory)) {
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [name, objectHash, commitHash, timestamp, subject] = line.split(FIELD_SEPARATOR);
+      
       return {
-        isGitRepo: false,
-        error: 'Not a git repository'
+        name,
+        hash: commitHash || objectHash,
+        date: new Date(parseInt(timestamp, 10) * 1000),
+        subject
       };
+    });
+}
+
+// Resolve a date the way `git log --since` does, so values like '1 year ago' work
+// where git can't filter by date itself
+export async function resolveGitDate(directory, date) {
+  const output = await runGit(directory, ['rev-parse', `--since=${date}`]);
+  const match = output.match(/--max-age=(\d+)/);
+  
+  if (!match) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  
+  return new Date(parseInt(match[1], 10) * 1000);
+}
+
+// List the files of a structure with their paths relative to the repository root
+export function collectRepoFiles(structure, repoRoot) {
+  const directory = structure.path;
+  const prefix = path.relative(repoRoot, fs.realpathSync(directory));
+  const files = [];
+  
+  function traverseFiles(node) {
+    if (node.type === 'file') {
+      files.push({ node, path: toPosixPath(path.join(prefix, path.relative(directory, node.path))) });
     }
     
-    const repoRoot = getRepoRoot(directory);
-    const commits = getCommitHistory(directory);
-    const contributors = getContributors(directory);
-    const fileChurn = getFileChurn(directory);
+    if (node.children) {
+      node.children.forEach(traverseFiles);
+    }
+  }
+  
+  traverseFiles(structure);
+  return files;
+}
+
+// Get the root of the repository containing a directory, or null
+export async function getRepoRoot(directory) {
+  try {
+    return (await runGit(directory, ['rev-parse', '--show-toplevel'])).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Count commits per author; commits are newest first, so email is the latest one used
+function getContributors(commits) {
+  const byAuthor = new Map();
+  
+  commits.forEach(commit => {
+    if (!byAuthor.has(commit.author)) {
+      byAuthor.set(commit.author, { commits: 0, name: commit.author, email: commit.email, emails: [] });
+    }
     
-    // Analyze files in the structure
-    const files = [];
+    const contributor = byAuthor.get(commit.author);
+    contributor.commits++;
     
-    function traverseFiles(node, currentPath = '') {
-      if (node.type === 'file') {
-        const filePath = node.path;
-        const relativePath = filePath.replace(repoRoot + '/', '');
-        
-        const history = getFileHistory(filePath, directory);
-        const blame = getFileBlame(filePath, directory);
-        
-        files.push({
-          path: relativePath,
-          history,
-          blame,
-          lastModified: history.length > 0 ? history[0].date : null,
-          authors: blame.map(b => b.author),
-          mainAuthor: blame.length > 0 ? blame[0].author : null,
-          mainAuthorPercentage: blame.length > 0 ? blame[0].percentage : 0
-        });
+    if (!contributor.emails.includes(commit.email)) {
+      contributor.emails.push(commit.email);
+    }
+  });
+  
+  return Array.from(byAuthor.values()).sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
+
+// Collect history and line churn per file
+function getFileStats(commits) {
+  const stats = new Map();
+  
+  commits.forEach(commit => {
+    commit.files.forEach(file => {
+      if (!stats.has(file.path)) {
+        stats.set(file.path, { file: file.path, changes: 0, additions: 0, deletions: 0, history: [] });
       }
       
-      if (node.children) {
-        node.children.forEach(child => traverseFiles(child, currentPath + '/' + node.name));
+      const entry = stats.get(file.path);
+      entry.changes++;
+      entry.additions += file.additions;
+      entry.deletions += file.deletions;
+      entry.history.push({
+        hash: commit.hash,
+        author: commit.author,
+        email: commit.email,
+        date: commit.date,
+        subject: commit.subject
+      });
+    });
+  });
+  
+  return stats;
+}
+
+// Rank the authors of a file's history by number of commits
+function getHistoryAuthors(history) {
+  const counts = new Map();
+  
+  history.forEach(commit => {
+    counts.set(commit.author, (counts.get(commit.author) || 0) + 1);
+  });
+  
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([author, commits]) => ({
+      author,
+      commits,
+      percentage: Math.round((commits / history.length) * 100)
+    }));
+}
+
+// Blame files (paths relative to the repository root) with a bounded number of git processes.
+// Options are those of getFileBlame and createAuthorNormalizer.
+export function blameFiles(repoRoot, filePaths, concurrency = 4, options = {}) {
+  return mapWithConcurrency(filePaths, concurrency, filePath => getFileBlame(filePath, repoRoot, options));
+}
+
+// The revision to blame for since, until and revision bounds (see getBlameRevision),
+// for analyzers that don't read the log themselves
+export async function findBlameRevision(directory, options = {}) {
+  const commits = options.until
+    ? await readGitLog(directory, {
+      since: options.since,
+      until: options.until,
+      revision: options.revision,
+      maxCommits: 1,
+      numstat: false,
+      includeMergeCommits: true,
+      pathspec: ['.']
+    })
+    : [];
+  
+  return getBlameRevision(commits, options);
+}
+
+// The revision to blame so lines match the bounded history: the newest commit in bounds
+// when history ends at a date, or null when no commit is in bounds
+function getBlameRevision(commits, opts) {
+  if (!opts.until) {
+    return opts.revision || '';
+  }
+  
+  if (commits.length === 0) {
+    return null;
+  }
+  
+  const range = (opts.revision || '').match(/^(.+?)\.\.(?!\.)/);
+  return range ? `${range[1]}..${commits[0].hash}` : commits[0].hash;
+}
+
+// Get file blame information; lines by excluded authors are left out.
+// With since or a revision range, only lines changed within those bounds are counted.
+// With lineDates, every author also gets the commit timestamp (in seconds) of each of their lines.
+export async function getFileBlame(filePath, repoRoot, options = {}) {
+  const normalizeAuthor = createAuthorNormalizer(options);
+  
+  // Root commits are only boundaries when history is bounded
+  const args = ['blame', '-w', '-M', '-C', '--root', '--line-porcelain'];
+  
+  if (options.since) args.push(`--since=${options.since}`);
+  if (options.revision) args.push(assertSafeRevision(options.revision));
+  
+  args.push('--', filePath);
+  
+  try {
+    const output = await runGit(repoRoot, args);
+    
+    const lines = output.split('\n');
+    const blame = [];
+    let currentBlame = null;
+    
+    for (const line of lines) {
+      if (line.startsWith('author ')) {
+        currentBlame = {
+          author: line.substring(7),
+          lines: 1
+        };
+        blame.push(currentBlame);
+      } else if (line.startsWith('author-mail ')) {
+        currentBlame.email = line.substring(12).replace(/[<>]/g, '');
+      } else if (line.startsWith('author-time ')) {
+        currentBlame.timestamp = parseInt(line.substring(12));
+        currentBlame.date = new Date(currentBlame.timestamp * 1000);
+      } else if (line.startsWith('summary ')) {
+        currentBlame.summary = line.substring(8);
+      } else if (line === 'boundary') {
+        currentBlame.boundary = true;
       }
     }
     
-    traverseFiles(structure);
-    
-    // Calculate commit frequency over time
-    const commitDates = commits.map(commit => commit.date);
-    const oldestCommit = commitDates.length > 0 ? new Date(Math.min(...commitDates.map(d => d.getTime()))) : null;
-    const newestCommit = commitDates.length > 0 ? new Date(Math.max(...commitDates.map(d => d.getTime()))) : null;
-    
-    // Group commits by month
-    const commitsByMonth = {};
-    
-    if (oldestCommit && newestCommit) {
-      commits.forEach(commit => {
-        const date = commit.date;
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        
-        if (!commitsByMonth[monthKey]) {
-          commitsByMonth[monthKey] = {
-            year: date.getFullYear(),
-            month: date.getMonth() + 1,
-            count: 0,
-            authors: new Set()
-          };
-        }
-        
-        commitsByMonth[monthKey].count++;
-        commitsByMonth[monthKey].authors.add(commit.author);
-      });
-    }
+    // Consolidate blame by author
+    const blameByAuthor = {};
+    let totalLines = 0;
     
-    // Convert to array and sort by date
-    const commitTimeline = Object.values(commitsByMonth).map(month => ({
-      ...month,
-      authors: Array.from(month.authors)
-    })).sort((a, b) => {
-      if (a.year !== b.year) return a.year - b.year;
-      return a.month - b.month;
+    blame.forEach(item => {
+      const identity = item.boundary ? null : normalizeAuthor(item.author, item.email);
+      
+      if (!identity) return;
+      
+      if (!blameByAuthor[identity.name]) {
+        blameByAuthor[identity.name] = {
+          author: identity.name,
+          email: identity.email,
+          lines: 0,
+          commits: new Set(),
+          lineDates: []
+        };
+      }
+      
+      blameByAuthor[identity.name].lines += item.lines;
+      if (options.lineDates) {
+        blameByAuthor[identity.name].lineDates.push(item.timestamp);
+      }
+      totalLines += item.lines;
+      if (item.summary) {
+        blameByAuthor[identity.name].commits.add(item.summary);
+      }
     });
     
-    return {
-      isGitRepo: true,
-      repoRoot,
-      commits: {
-        total: commits.length,
-        first: oldestCommit,
-        last: newestCommit,
-        timeline: commitTimeline
-      },
-      contributors: contributors.map(contributor => ({
-        ...contributor,
-        percentage: Math.round((contributor.commits / commits.length) * 100)
-      })),
-      files,
-      fileChurn
-    };
+    // Convert to array and calculate percentages
+    const result = Object.values(blameByAuthor).map(author => ({
+      author: author.author,
+      email: author.email,
+      lines: author.lines,
+      percentage: Math.round((author.lines / totalLines) * 100),
+      commits: author.commits.size,
+      ...(options.lineDates ? { lineDates: author.lineDates } : {})
+    }));
+    
+    return result.sort((a, b) => b.lines - a.lines);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Make sure a revision can't be read as a command line option
+function assertSafeRevision(revision) {
+  if (revision.startsWith('-')) {
+    throw new Error(`Invalid git ref: ${revision}`);
   }
   
-  return analyzeRepository(structure.path);
+  return revision;
+}
+
+// Run a git command without a shell and resolve with its output
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', [...GIT_CONFIG_OVERRIDES, ...args], { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(stderr.trim() || error.message));
+        return;
+      }
+      
+      resolve(stdout);
+    });
+  });
+}
+
+// Run a git command and hand its output to a callback one record at a time
+function streamGit(cwd, args, separator, onRecord) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', [...GIT_CONFIG_OVERRIDES, ...args], { cwd });
+    let buffer = '';
+    let stderr = '';
+    
+    child.stdout.setEncoding('utf8');
+    
+    child.stdout.on('data', chunk => {
+      const records = (buffer + chunk).split(separator);
+      buffer = records.pop();
+      records.filter(Boolean).forEach(onRecord);
+    });
+    
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    
+    child.on('error', reject);
+    
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(stderr.trim() || `git exited with code ${code}`));
+        return;
+      }
+      
+      if (buffer) onRecord(buffer);
+      resolve();
+    });
+  });
+}
+
+// Run an async function over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
 }
 
 // Generate HTML report for Git history
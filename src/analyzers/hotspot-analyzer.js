@@ -0,0 +1,355 @@
+// Hotspot Analyzer
+import { getRepoRoot, readGitLog, collectRepoFiles } from './git-analyzer.js';
+
+// Stand-in scores for files analyzed without function and conditional counts,
+// in the middle of each complexity level's range
+const LEVEL_SCORES = {
+  'low': 8,
+  'medium': 23,
+  'high': 40,
+  'very high': 60
+};
+
+export async function analyzeHotspots(structure, options = {}) {
+  const opts = {
+    maxCommits: 1000,  // Commits to read churn from
+    since: '',         // e.g., '6 months ago'
+    until: '',         // e.g., '2024-01-01'
+    revision: '',      // Range such as 'v1.0..v2.0', instead of all of HEAD's history
+    minChanges: 1,     // Ignore files changed fewer times than this
+    limit: 50,         // Number of hotspots to return
+    ...options
+  };
+
+  const repoRoot = await getRepoRoot(structure.path);
+
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
+  }
+
+  // Only commits that touched the scanned directory. Author aliases and bot filtering
+  // are passed through, so churn from excluded authors is left out
+  const commits = await readGitLog(structure.path, { ...opts, numstat: true, pathspec: ['.'] });
+
+  // Count changes per file, following renames
+  const churn = new Map();
+
+  commits.forEach(commit => {
+    commit.files.forEach(file => {
+      const entry = churn.get(file.path) || { changes: 0, additions: 0, deletions: 0 };
+      entry.changes++;
+      entry.additions += file.additions;
+      entry.deletions += file.deletions;
+      churn.set(file.path, entry);
+    });
+  });
+
+  // Only files with complexity metrics can be ranked
+  const candidates = collectRepoFiles(structure, repoRoot)
+    .filter(({ node, path }) => node.complexity && churn.has(path) && churn.get(path).changes >= opts.minChanges)
+    .map(({ node, path }) => ({
+      path,
+      language: node.language || null,
+      ...churn.get(path),
+      complexity: node.complexity.complexity,
+      complexityScore: getComplexityScore(node.complexity),
+      lines: node.complexity.lines,
+      codeLines: node.complexity.codeLines,
+      size: node.size
+    }));
+
+  // Reduced rather than spread into Math.max, which runs out of stack with very many files
+  const maxChanges = candidates.reduce((max, file) => Math.max(max, file.changes), 1);
+  const maxComplexity = candidates.reduce((max, file) => Math.max(max, file.complexityScore), 1);
+
+  // Risk is high when a file is both changed often and hard to change,
+  // relative to the rest of the codebase
+  candidates.forEach(file => {
+    file.riskScore = Math.round((file.changes / maxChanges) * (file.complexityScore / maxComplexity) * 100);
+    file.risk = file.riskScore >= 50 ? 'high' : file.riskScore >= 20 ? 'medium' : 'low';
+  });
+
+  const ranked = candidates.sort((a, b) =>
+    b.riskScore - a.riskScore || b.changes - a.changes || (b.codeLines || 0) - (a.codeLines || 0)
+  );
+
+  return {
+    isGitRepo: true,
+    repoRoot,
+    hotspots: ranked.slice(0, opts.limit),
+    summary: {
+      commitsAnalyzed: commits.length,
+      filesAnalyzed: ranked.length,
+      highRiskCount: ranked.filter(file => file.risk === 'high').length,
+      mediumRiskCount: ranked.filter(file => file.risk === 'medium').length
+    }
+  };
+}
+
+// Format hotspots as a ranked list
+export function formatHotspotsAsTree(results) {
+  const { hotspots, summary } = results;
+  let result = `Hotspots (${summary.filesAnalyzed} files, ${summary.commitsAnalyzed} commits, ${summary.highRiskCount} high risk)\n`;
+
+  hotspots.forEach((file, index) => {
+    const isLast = index === hotspots.length - 1;
+    result += `${isLast ? '└── ' : '├── '}${file.path} - risk ${file.riskScore} (${file.changes} changes, ${file.complexity} complexity, ${file.codeLines || 0} lines of code)\n`;
+  });
+
+  return result;
+}
+
+// Generate HTML report for hotspots
+export function generateHotspotReport(results, options = {}) {
+  const opts = {
+    title: 'Hotspot Analysis',
+    ...options
+  };
+
+  const riskColors = {
+    high: 'rgba(220, 53, 69, 0.6)',
+    medium: 'rgba(255, 193, 7, 0.6)',
+    low: 'rgba(13, 110, 253, 0.4)'
+  };
+
+  // One dataset per risk level; bubble size follows lines of code
+  const maxLines = Math.max(1, ...results.hotspots.map(file => file.codeLines || 0));
+  const datasets = ['high', 'medium', 'low'].map(risk => ({
+    label: `${risk[0].toUpperCase()}${risk.slice(1)} risk`,
+    data: results.hotspots
+      .filter(file => file.risk === risk)
+      .map(file => ({
+        x: file.changes,
+        y: file.complexityScore,
+        r: 4 + Math.round(((file.codeLines || 0) / maxLines) * 16),
+        path: file.path
+      })),
+    backgroundColor: riskColors[risk]
+  }));
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(opts.title)}</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js@3.7.1/dist/chart.min.js"></script>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .chart-container {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .section {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem;
+      text-align: left;
+      border-bottom: 1px solid #dee2e6;
+    }
+
+    th {
+      background-color: #f8f9fa;
+    }
+
+    tr:hover {
+      background-color: #f8f9fa;
+    }
+
+    .risk-high {
+      color: #dc3545;
+      font-weight: bold;
+    }
+
+    .risk-medium {
+      color: #fd7e14;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(opts.title)}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Files Analyzed</h3>
+        <p>${results.summary.filesAnalyzed}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Commits Analyzed</h3>
+        <p>${results.summary.commitsAnalyzed}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>High Risk Files</h3>
+        <p>${results.summary.highRiskCount}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Medium Risk Files</h3>
+        <p>${results.summary.mediumRiskCount}</p>
+      </div>
+    </div>
+
+    <div class="chart-container">
+      <h2>Churn vs. Complexity</h2>
+      <canvas id="hotspot-chart"></canvas>
+    </div>
+
+    <div class="section">
+      <h2>Ranking</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>Risk</th>
+            <th>Changes</th>
+            <th>Complexity</th>
+            <th>Lines of Code</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${results.hotspots.map(file => `
+          <tr>
+            <td>${escapeHtml(file.path)}</td>
+            <td class="risk-${file.risk}">${file.riskScore}</td>
+            <td>${file.changes}</td>
+            <td>${file.complexity} (${file.complexityScore})</td>
+            <td>${file.codeLines || 0}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  </div>
+
+  <script>
+    // Hotspot scatter chart
+    const hotspotCtx = document.getElementById('hotspot-chart');
+    new Chart(hotspotCtx, {
+      type: 'bubble',
+      data: {
+        datasets: ${toScriptJson(datasets)}
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Changes (churn)'
+            },
+            ticks: {
+              precision: 0
+            }
+          },
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Complexity score'
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: context => context.raw.path + ': ' + context.raw.x + ' changes, complexity ' + context.raw.y
+            }
+          }
+        }
+      }
+    });
+  </script>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Numeric complexity, using the same formula as the language analyzers where the counts exist
+function getComplexityScore(metrics) {
+  if (metrics.conditionals !== undefined) {
+    return ((metrics.functions || 0) + (metrics.classes || 0)) * 2 + metrics.conditionals;
+  }
+
+  return LEVEL_SCORES[metrics.complexity] || 0;
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Serialize a value for an inline script; an escaped `<` can't close the script element
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,486 @@
+// Code Ownership Analyzer
+import fs from 'fs';
+import path from 'path';
+import { globToRegExp } from '../glob.js';
+import { getRepoRoot, blameFiles, findBlameRevision, readGitLog, collectRepoFiles } from './git-analyzer.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Where GitHub looks for a CODEOWNERS file, in order of precedence
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+export async function analyzeOwnership(structure, options = {}) {
+  const opts = {
+    coverage: 0.8,          // Share of lines the bus factor authors must cover together
+    departedAfterDays: 180, // Authors without commits for this long count as departed
+    departedAuthors: [],    // Names or emails of authors known to have left
+    blameConcurrency: 4,    // Maximum number of git blame processes at once
+    since: '',              // Only count lines changed since this date, e.g. '1 year ago'
+    until: '',              // Blame the files as of this date
+    revision: '',           // Commit to blame, or a range such as 'v1.0..v2.0' to count only its lines
+    aliases: {},            // Author identities on top of .mailmap (see createAuthorNormalizer)
+    excludeBots: false,     // Leave out dependabot, renovate and other automated accounts
+    botPatterns: [],        // More author names or emails to leave out
+    ...options
+  };
+
+  const directory = structure.path;
+  const repoRoot = await getRepoRoot(directory);
+
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
+  }
+
+  // The scanned directory, relative to the repository root
+  const scope = path.relative(repoRoot, fs.realpathSync(directory)).split(path.sep).join('/') || '.';
+  const filePaths = collectRepoFiles(structure, repoRoot).map(file => file.path);
+  const departedAuthors = await findDepartedAuthors(repoRoot, opts);
+  const isDeparted = author => departedAuthors.some(departed =>
+    departed.author === author.author || (author.email && departed.email === author.email)
+  );
+
+  // No lines are owned when no commit is within the bounds
+  const blameRevision = await findBlameRevision(directory, opts);
+  const blames = blameRevision !== null
+    ? await blameFiles(repoRoot, filePaths, opts.blameConcurrency, { ...opts, revision: blameRevision })
+    : [];
+
+  // Files without blame (untracked, binary or empty) have no owners
+  const files = filePaths
+    .map((filePath, index) => describeOwnership(filePath, blames[index] || [], opts.coverage, isDeparted))
+    .filter(file => file.totalLines > 0);
+
+  files.forEach(file => {
+    file.departedOnly = file.owners.length > 0 && file.owners.every(owner => owner.departed);
+  });
+
+  // Roll line counts up into every parent directory, up to the scanned directory
+  const linesByDirectory = new Map();
+
+  files.forEach(file => {
+    let dir = file.path;
+
+    do {
+      dir = path.posix.dirname(dir);
+
+      if (!linesByDirectory.has(dir)) {
+        linesByDirectory.set(dir, { fileCount: 0, authors: new Map() });
+      }
+
+      const entry = linesByDirectory.get(dir);
+      entry.fileCount++;
+
+      file.authors.forEach(author => {
+        const current = entry.authors.get(author.author) || { author: author.author, email: author.email, lines: 0 };
+        current.lines += author.lines;
+        entry.authors.set(author.author, current);
+      });
+    } while (dir !== scope && dir !== '.');
+  });
+
+  const directories = Array.from(linesByDirectory.entries())
+    .map(([dir, { fileCount, authors }]) => ({
+      ...describeOwnership(dir, Array.from(authors.values()), opts.coverage, isDeparted),
+      fileCount
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const atRiskFiles = files.filter(file => file.departedOnly).map(file => file.path);
+
+  return {
+    isGitRepo: true,
+    repoRoot,
+    scope,
+    files,
+    directories,
+    departedAuthors,
+    atRiskFiles,
+    summary: {
+      fileCount: files.length,
+      directoryCount: directories.length,
+      averageBusFactor: directories.length > 0
+        ? Math.round((directories.reduce((sum, dir) => sum + dir.busFactor, 0) / directories.length) * 10) / 10
+        : 0,
+      singleOwnerDirectories: directories.filter(dir => dir.busFactor === 1).length,
+      atRiskFileCount: atRiskFiles.length
+    }
+  };
+}
+
+// Generate a GitHub-style CODEOWNERS file from an ownership analysis
+export function generateCodeowners(ownership, options = {}) {
+  const opts = {
+    maxDepth: 2,  // Deepest directory level (below the analyzed directory) that gets its own rule
+    handles: {},  // Map of author names or emails to GitHub handles, e.g. { 'jane@example.com': '@jane' }
+    ...options
+  };
+
+  const toOwners = entry => entry.owners
+    .filter(owner => !owner.departed)
+    .map(owner => getHandle(owner, opts.handles));
+
+  let content = '# Generated by ansa-fs from git blame. Owners cover most lines of each path.\n';
+  const rules = new Map();
+
+  // Only the analyzed directory is covered, so a repository-wide rule is only written for the root
+  const scope = ownership.scope || '.';
+  const depthOf = dirPath => (scope === '.' ? dirPath : dirPath.slice(scope.length + 1)).split('/').length;
+
+  ownership.directories
+    .filter(dir => dir.path === scope || depthOf(dir.path) <= opts.maxDepth)
+    .forEach(dir => {
+      const owners = toOwners(dir);
+      if (owners.length === 0) return;
+
+      // Rules that repeat their parent's owners add nothing
+      const parentOwners = rules.get(dir.path === scope ? null : path.posix.dirname(dir.path));
+      if (parentOwners && parentOwners.join(' ') === owners.join(' ')) {
+        rules.set(dir.path, owners);
+        return;
+      }
+
+      rules.set(dir.path, owners);
+      content += `${dir.path === '.' ? '*' : `/${dir.path}/`} ${owners.join(' ')}\n`;
+    });
+
+  return content;
+}
+
+// Check a CODEOWNERS file against an ownership analysis
+export function validateCodeowners(content, ownership, options = {}) {
+  const opts = {
+    handles: {},
+    ...options
+  };
+
+  const rules = parseCodeowners(content);
+  const departedHandles = new Set(ownership.departedAuthors.map(author => getHandle(author, opts.handles)));
+
+  const result = {
+    unowned: [],
+    mismatched: [],
+    departedOwners: []
+  };
+
+  rules.forEach(rule => {
+    const departed = rule.owners.filter(owner => departedHandles.has(owner));
+
+    if (departed.length > 0) {
+      result.departedOwners.push({ pattern: rule.pattern, line: rule.line, owners: departed });
+    }
+  });
+
+  ownership.files.forEach(file => {
+    // The last matching rule wins
+    const rule = rules.filter(candidate => candidate.regex.test(file.path)).pop();
+
+    if (!rule || rule.owners.length === 0) {
+      result.unowned.push(file.path);
+      return;
+    }
+
+    const actualOwners = file.owners.filter(owner => !owner.departed).map(owner => getHandle(owner, opts.handles));
+
+    if (actualOwners.length > 0 && !actualOwners.some(owner => rule.owners.includes(owner))) {
+      result.mismatched.push({
+        path: file.path,
+        pattern: rule.pattern,
+        codeowners: rule.owners,
+        suggested: actualOwners
+      });
+    }
+  });
+
+  result.valid = result.unowned.length === 0 && result.mismatched.length === 0 && result.departedOwners.length === 0;
+
+  return result;
+}
+
+// Find the CODEOWNERS file of a repository, if it has one
+export function findCodeowners(repoRoot) {
+  const location = CODEOWNERS_LOCATIONS
+    .map(candidate => path.join(repoRoot, candidate))
+    .find(candidate => fs.existsSync(candidate));
+
+  return location || null;
+}
+
+// Format ownership results as a tree string
+export function formatOwnershipAsTree(ownership) {
+  const { summary } = ownership;
+  let result = `Ownership (${summary.directoryCount} directories, average bus factor ${summary.averageBusFactor}, ${summary.atRiskFileCount} files only known by departed authors)\n`;
+
+  ownership.directories.forEach((dir, index) => {
+    const isLast = index === ownership.directories.length - 1;
+    const owners = dir.owners.map(owner => `${owner.author}${owner.departed ? ' (departed)' : ''} ${owner.percentage}%`);
+    result += `${isLast ? '└── ' : '├── '}${dir.path === '.' ? './' : `${dir.path}/`} bus factor ${dir.busFactor}: ${owners.join(', ')}\n`;
+  });
+
+  return result;
+}
+
+// Generate HTML report for code ownership
+export function generateOwnershipReport(ownership, options = {}) {
+  const opts = {
+    title: 'Code Ownership Report',
+    ...options
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(opts.title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .section {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem;
+      text-align: left;
+      border-bottom: 1px solid #dee2e6;
+    }
+
+    th {
+      background-color: #f8f9fa;
+    }
+
+    .risk {
+      color: #dc3545;
+      font-weight: bold;
+    }
+
+    .departed {
+      color: #999;
+      text-decoration: line-through;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(opts.title)}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Average Bus Factor</h3>
+        <p>${ownership.summary.averageBusFactor}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Single-Owner Directories</h3>
+        <p>${ownership.summary.singleOwnerDirectories}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Files Only Known by Departed Authors</h3>
+        <p>${ownership.summary.atRiskFileCount}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Departed Authors</h3>
+        <p>${ownership.departedAuthors.length}</p>
+      </div>
+    </div>
+
+    <div class="section">
+      <h2>Directories</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Directory</th>
+            <th>Files</th>
+            <th>Lines</th>
+            <th>Bus Factor</th>
+            <th>Owners</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${ownership.directories.map(dir => `
+          <tr>
+            <td>${escapeHtml(dir.path)}</td>
+            <td>${dir.fileCount}</td>
+            <td>${dir.totalLines}</td>
+            <td class="${dir.busFactor === 1 ? 'risk' : ''}">${dir.busFactor}</td>
+            <td>${dir.owners.map(owner => `<span class="${owner.departed ? 'departed' : ''}">${escapeHtml(owner.author)} (${owner.percentage}%)</span>`).join(', ')}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="section">
+      <h2>Files Only Known by Departed Authors</h2>
+      ${ownership.atRiskFiles.length === 0 ? '<p>None.</p>' : `
+      <ul>
+        ${ownership.atRiskFiles.map(file => `<li>${escapeHtml(file)}</li>`).join('')}
+      </ul>
+      `}
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Compute the share of each author and the bus factor of a file or directory
+function describeOwnership(entryPath, authors, coverage, isDeparted) {
+  const totalLines = authors.reduce((sum, author) => sum + author.lines, 0);
+
+  const ranked = authors
+    .map(author => ({
+      author: author.author,
+      email: author.email,
+      lines: author.lines,
+      percentage: totalLines > 0 ? Math.round((author.lines / totalLines) * 100) : 0,
+      departed: isDeparted(author)
+    }))
+    .sort((a, b) => b.lines - a.lines || a.author.localeCompare(b.author));
+
+  // The bus factor is the smallest number of authors that together cover the required share of lines
+  const owners = [];
+  let covered = 0;
+
+  for (const author of ranked) {
+    if (covered >= totalLines * coverage) break;
+    owners.push(author);
+    covered += author.lines;
+  }
+
+  return {
+    path: entryPath,
+    totalLines,
+    authors: ranked,
+    busFactor: owners.length,
+    owners
+  };
+}
+
+// Authors listed as departed, or without a commit for the configured number of days
+async function findDepartedAuthors(repoRoot, opts) {
+  const commits = await readGitLog(repoRoot, {
+    maxCommits: Infinity,
+    numstat: false,
+    aliases: opts.aliases,
+    excludeBots: opts.excludeBots,
+    botPatterns: opts.botPatterns
+  });
+  const lastCommits = new Map();
+
+  commits.forEach(commit => {
+    const current = lastCommits.get(commit.author);
+
+    if (!current || current.lastCommit < commit.date) {
+      lastCommits.set(commit.author, { author: commit.author, email: commit.email, lastCommit: commit.date });
+    }
+  });
+
+  const cutoff = Date.now() - opts.departedAfterDays * DAY;
+
+  return Array.from(lastCommits.values())
+    .filter(author =>
+      opts.departedAuthors.includes(author.author) ||
+      opts.departedAuthors.includes(author.email) ||
+      author.lastCommit.getTime() < cutoff
+    )
+    .sort((a, b) => a.lastCommit - b.lastCommit);
+}
+
+// Identify an author in CODEOWNERS: a configured handle, or else the email address
+function getHandle(author, handles) {
+  return handles[author.email] || handles[author.author] || author.email || author.author;
+}
+
+// Parse CODEOWNERS rules with their patterns converted to regular expressions
+function parseCodeowners(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line, index) => ({ text: line.replace(/(^|\s)#.*$/, '').trim(), line: index + 1 }))
+    .filter(({ text }) => text !== '')
+    .map(({ text, line }) => {
+      const [pattern, ...owners] = text.split(/\s+/);
+      return { pattern, owners, line, regex: codeownersPatternToRegExp(pattern) };
+    });
+}
+
+// CODEOWNERS patterns follow .gitignore rules: unanchored patterns match at any depth,
+// and a pattern matching a directory applies to everything inside it
+function codeownersPatternToRegExp(pattern) {
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '');
+  const anchored = pattern.startsWith('/') || body.includes('/');
+  const source = globToRegExp(body).source.slice(1, -1);
+
+  // A trailing slash only matches directories, so something must be below it. A trailing `/*`
+  // only matches direct children; any other pattern also matches everything below a directory.
+  const below = pattern.endsWith('/') ? '/.*' : /(^|\/)\*$/.test(body) && body !== '*' ? '' : '(/.*)?';
+
+  return new RegExp(`${anchored ? '^' : '(^|/)'}${source}${below}$`);
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
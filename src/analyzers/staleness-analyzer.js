@@ -0,0 +1,424 @@
+// Staleness Analyzer
+import path from 'path';
+import { analyzeGitHistory, readGitLog, resolveGitDate } from './git-analyzer.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export async function analyzeStaleness(structure, options = {}) {
+  const opts = {
+    staleAfterMonths: 12,   // Lines last changed before this count as stale
+    activeMonths: 12,       // Analysis window: main authors without commits in it are flagged as inactive
+    oldestLimit: 20,        // Number of oldest untouched files to report
+    blameConcurrency: 4,    // Maximum number of git blame processes at once
+    until: '',              // Measure the code as of this date
+    revision: '',           // Commit to measure instead of HEAD; with a range, only its lines are counted
+    aliases: {},            // Author identities on top of .mailmap (see createAuthorNormalizer)
+    excludeBots: false,     // Leave out dependabot, renovate and other automated accounts
+    botPatterns: [],        // More author names or emails to leave out
+    ...options
+  };
+
+  const identityOptions = {
+    aliases: opts.aliases,
+    excludeBots: opts.excludeBots,
+    botPatterns: opts.botPatterns
+  };
+
+  // Last-modified dates and blame with line dates over the whole history up to the bounds.
+  // There is no since: the lines it would leave out are the ones that go stale
+  const history = await analyzeGitHistory(structure, {
+    ...identityOptions,
+    until: opts.until,
+    revision: opts.revision,
+    maxCommits: Infinity,
+    blame: true,
+    lineDates: true,
+    blameConcurrency: opts.blameConcurrency
+  });
+
+  if (!history.isGitRepo) {
+    return history;
+  }
+
+  // Ages are measured from the end of the bounds
+  const now = opts.until ? (await resolveGitDate(history.repoRoot, opts.until)).getTime() : Date.now();
+  const staleCutoff = new Date(now);
+  staleCutoff.setMonth(staleCutoff.getMonth() - opts.staleAfterMonths);
+
+  const activeSince = new Date(now);
+  activeSince.setMonth(activeSince.getMonth() - opts.activeMonths);
+
+  // Authors with commits anywhere in the repository during the window
+  const recentCommits = await readGitLog(history.repoRoot, {
+    ...identityOptions,
+    maxCommits: Infinity,
+    numstat: false,
+    since: activeSince.toISOString(),
+    until: opts.until
+  });
+  const activeAuthors = new Set(recentCommits.map(commit => commit.author));
+
+  // Untracked files have no history to age
+  const files = history.files
+    .filter(file => file.lastModified)
+    .map(file => {
+      const lineDates = file.blame.flatMap(author => author.lineDates);
+      const staleLines = lineDates.filter(timestamp => timestamp * 1000 < staleCutoff.getTime()).length;
+
+      return {
+        path: file.path,
+        lastModified: file.lastModified,
+        ageDays: Math.floor((now - file.lastModified.getTime()) / DAY),
+        lines: lineDates.length,
+        staleLines,
+        stalePercentage: lineDates.length > 0 ? Math.round((staleLines / lineDates.length) * 100) : 0,
+        mainAuthor: file.mainAuthor,
+        inactiveOwner: Boolean(file.mainAuthor) && !activeAuthors.has(file.mainAuthor)
+      };
+    });
+
+  // Roll files up into every parent directory, up to the scanned directory
+  const scope = history.scope.path;
+  const filesByDirectory = new Map();
+
+  files.forEach(file => {
+    let dir = file.path;
+
+    do {
+      dir = path.posix.dirname(dir);
+
+      if (!filesByDirectory.has(dir)) {
+        filesByDirectory.set(dir, []);
+      }
+
+      filesByDirectory.get(dir).push(file);
+    } while (dir !== scope && dir !== '.');
+  });
+
+  const directories = Array.from(filesByDirectory.entries())
+    .map(([dir, dirFiles]) => ({
+      path: dir,
+      ...describeStaleness(dirFiles)
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const oldestFiles = [...files]
+    .sort((a, b) => b.ageDays - a.ageDays || a.path.localeCompare(b.path))
+    .slice(0, opts.oldestLimit);
+
+  const inactiveOwners = [...new Set(files.filter(file => file.inactiveOwner).map(file => file.mainAuthor))].sort();
+
+  return {
+    isGitRepo: true,
+    repoRoot: history.repoRoot,
+    scope,
+    staleAfterMonths: opts.staleAfterMonths,
+    activeMonths: opts.activeMonths,
+    files,
+    directories,
+    oldestFiles,
+    inactiveOwners,
+    summary: describeStaleness(files)
+  };
+}
+
+// Format staleness per directory as a tree string
+export function formatStalenessAsTree(results) {
+  const { summary } = results;
+  let result = `Staleness (median age ${summary.medianAgeDays} days, ${summary.stalePercentage}% of lines unchanged for ${results.staleAfterMonths} months, ${summary.inactiveOwnerFiles} files with inactive owners)\n`;
+
+  results.directories.forEach((dir, index) => {
+    const isLast = index === results.directories.length - 1;
+    const inactive = dir.inactiveOwnerFiles > 0 ? `, ${dir.inactiveOwnerFiles} with inactive owners` : '';
+    result += `${isLast ? '└── ' : '├── '}${dir.path === '.' ? './' : `${dir.path}/`} median age ${dir.medianAgeDays} days, ${dir.stalePercentage}% stale lines (${dir.fileCount} files${inactive})\n`;
+  });
+
+  return result;
+}
+
+// Generate HTML report with a heat tree of directory and file ages
+export function generateStalenessReport(results, options = {}) {
+  const opts = {
+    title: 'Code Staleness Report',
+    ...options
+  };
+
+  // The scanned directory is the root of the tree
+  const root = results.scope || '.';
+  const directoryPaths = new Set(results.directories.map(dir => dir.path));
+  const directoriesByPath = new Map(results.directories.map(dir => [dir.path, dir]));
+  const staleDays = results.staleAfterMonths * 30;
+
+  // Green when recently changed, yellow at the stale threshold, red at twice the threshold
+  const heatColor = ageDays => {
+    const ratio = Math.min(1, ageDays / (staleDays * 2));
+    return `hsl(${Math.round(120 * (1 - ratio))}, 70%, 85%)`;
+  };
+
+  const childrenOf = dir => ({
+    directories: [...directoryPaths].filter(child => child !== root && path.posix.dirname(child) === dir).sort(),
+    files: results.files.filter(file => path.posix.dirname(file.path) === dir).sort((a, b) => a.path.localeCompare(b.path))
+  });
+
+  const renderFile = file => `
+    <li>
+      <div class="node" style="background-color: ${heatColor(file.ageDays)}" title="Last changed ${file.lastModified.toISOString().slice(0, 10)}">
+        <span class="name">${escapeHtml(path.posix.basename(file.path))}</span>
+        <span class="metrics">${file.ageDays} days, ${file.stalePercentage}% stale, ${escapeHtml(file.mainAuthor || 'unknown')}${file.inactiveOwner ? ' <span class="badge">inactive owner</span>' : ''}</span>
+      </div>
+    </li>`;
+
+  const renderDirectory = (dirPath, depth) => {
+    const dir = directoriesByPath.get(dirPath);
+    const children = childrenOf(dirPath);
+    const inactive = dir.inactiveOwnerFiles > 0 ? ` <span class="badge">${dir.inactiveOwnerFiles} inactive owners</span>` : '';
+
+    return `
+    <li>
+      <details${depth < 2 ? ' open' : ''}>
+        <summary class="node" style="background-color: ${heatColor(dir.medianAgeDays)}">
+          <span class="name">${escapeHtml(dirPath === root ? `${root}/` : `${path.posix.basename(dirPath)}/`)}</span>
+          <span class="metrics">median ${dir.medianAgeDays} days, ${dir.stalePercentage}% stale, ${dir.fileCount} files${inactive}</span>
+        </summary>
+        <ul>
+          ${children.directories.map(child => renderDirectory(child, depth + 1)).join('')}
+          ${children.files.map(renderFile).join('')}
+        </ul>
+      </details>
+    </li>`;
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(opts.title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .section {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th, td {
+      padding: 0.75rem;
+      text-align: left;
+      border-bottom: 1px solid #dee2e6;
+    }
+
+    th {
+      background-color: #f8f9fa;
+    }
+
+    .heat-tree ul {
+      list-style: none;
+      margin: 0;
+      padding-left: 1.5rem;
+    }
+
+    .heat-tree > ul {
+      padding-left: 0;
+    }
+
+    .node {
+      display: flex;
+      justify-content: space-between;
+      gap: 1rem;
+      padding: 0.25rem 0.5rem;
+      margin: 2px 0;
+      border-radius: 4px;
+      cursor: default;
+    }
+
+    summary.node {
+      cursor: pointer;
+    }
+
+    .name {
+      font-family: monospace;
+    }
+
+    .metrics {
+      font-size: 0.85rem;
+      color: #555;
+    }
+
+    .legend {
+      display: flex;
+      gap: 1rem;
+      font-size: 0.85rem;
+      margin-bottom: 1rem;
+    }
+
+    .legend span {
+      padding: 0.1rem 0.5rem;
+      border-radius: 4px;
+    }
+
+    .badge {
+      display: inline-block;
+      padding: 0.1rem 0.5rem;
+      border-radius: 4px;
+      font-size: 0.8rem;
+      background-color: #fff3cd;
+      color: #856404;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(opts.title)}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Median File Age</h3>
+        <p>${results.summary.medianAgeDays} days</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Lines Unchanged for ${results.staleAfterMonths} Months</h3>
+        <p>${results.summary.stalePercentage}%</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Files with Inactive Owners</h3>
+        <p>${results.summary.inactiveOwnerFiles}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Inactive Owners</h3>
+        <p>${results.inactiveOwners.length}</p>
+      </div>
+    </div>
+
+    <div class="section heat-tree">
+      <h2>Heat Tree</h2>
+      <div class="legend">
+        <span style="background-color: ${heatColor(0)}">Changed recently</span>
+        <span style="background-color: ${heatColor(staleDays)}">${results.staleAfterMonths} months</span>
+        <span style="background-color: ${heatColor(staleDays * 2)}">${results.staleAfterMonths * 2}+ months</span>
+      </div>
+      ${directoriesByPath.has(root) ? `<ul>${renderDirectory(root, 0)}</ul>` : '<p>No files with git history.</p>'}
+    </div>
+
+    <div class="section">
+      <h2>Oldest Untouched Files</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>Last Changed</th>
+            <th>Age (days)</th>
+            <th>Stale Lines</th>
+            <th>Main Author</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${results.oldestFiles.map(file => `
+          <tr>
+            <td>${escapeHtml(file.path)}</td>
+            <td>${file.lastModified.toISOString().slice(0, 10)}</td>
+            <td>${file.ageDays}</td>
+            <td>${file.stalePercentage}%</td>
+            <td>${escapeHtml(file.mainAuthor || 'unknown')}${file.inactiveOwner ? ' <span class="badge">inactive</span>' : ''}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Median age, stale line share and inactive owners of a group of files
+function describeStaleness(files) {
+  const lines = files.reduce((sum, file) => sum + file.lines, 0);
+  const staleLines = files.reduce((sum, file) => sum + file.staleLines, 0);
+  const oldest = files.reduce((current, file) => (!current || file.ageDays > current.ageDays ? file : current), null);
+
+  return {
+    fileCount: files.length,
+    medianAgeDays: median(files.map(file => file.ageDays)),
+    oldestFile: oldest ? oldest.path : null,
+    lines,
+    staleLines,
+    stalePercentage: lines > 0 ? Math.round((staleLines / lines) * 100) : 0,
+    inactiveOwnerFiles: files.filter(file => file.inactiveOwner).length
+  };
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,467 @@
+// Trend Analyzer
+import { extractStructure } from '../core.js';
+import { getRepoRoot, readGitLog, listGitTags, resolveGitDate } from './git-analyzer.js';
+import { analyzeTechDebt } from './tech-debt-analyzer.js';
+
+export async function analyzeTrends(directory, options = {}) {
+  const opts = {
+    samples: 10,               // Number of points in history to measure
+    tags: false,               // Sample tags instead of mainline commits
+    refs: [],                  // Measure exactly these refs instead of sampling
+    since: '',                 // e.g., '1 year ago'
+    until: '',                 // e.g., '2024-01-01'
+    revision: '',              // Range such as 'v1.0..v2.0', instead of all of HEAD's history
+    maxFileSize: 1024 * 1024,  // Larger files are counted but their lines are not
+    structureOptions: {},      // Options passed to extractStructure (ignoreDirs, include, ...)
+    onSample: null,            // Called with (sample, index, total) after each measurement
+    ...options
+  };
+
+  const repoRoot = await getRepoRoot(directory);
+
+  if (!repoRoot) {
+    return {
+      isGitRepo: false,
+      error: 'Not a git repository'
+    };
+  }
+
+  const points = await selectSamplePoints(directory, opts);
+  const samples = [];
+
+  // Measure one ref at a time, so only one structure with content is held in memory
+  for (const point of points) {
+    const structure = await extractStructure(directory, {
+      ...opts.structureOptions,
+      gitRef: point.hash,
+      cache: false,
+      includeSize: true,
+      includeContent: true,
+      contentMaxSize: opts.maxFileSize,
+      detectLanguage: true,
+      analyzeComplexity: true,
+      complexityThreshold: 'low'
+    });
+
+    const sample = {
+      ref: point.ref,
+      hash: point.hash,
+      date: point.date,
+      subject: point.subject,
+      ...measureStructure(structure)
+    };
+
+    samples.push(sample);
+
+    if (opts.onSample) {
+      opts.onSample(sample, samples.length, points.length);
+    }
+  }
+
+  const languages = [...new Set(samples.flatMap(sample => Object.keys(sample.languages)))].sort();
+
+  return {
+    isGitRepo: true,
+    repoRoot,
+    languages,
+    samples
+  };
+}
+
+// Convert trend samples to CSV, one row per sample
+export function trendsToCsv(results) {
+  const columns = [
+    ['ref', sample => sample.ref],
+    ['hash', sample => sample.hash],
+    ['date', sample => new Date(sample.date).toISOString()],
+    ['files', sample => sample.files],
+    ['size', sample => sample.size],
+    ['lines', sample => sample.lines],
+    ['codeLines', sample => sample.codeLines],
+    ['complexityLow', sample => sample.complexity.low],
+    ['complexityMedium', sample => sample.complexity.medium],
+    ['complexityHigh', sample => sample.complexity.high],
+    ['complexityVeryHigh', sample => sample.complexity.veryHigh],
+    ['techDebtScore', sample => sample.techDebtScore],
+    ['todoCount', sample => sample.todoCount],
+    ...results.languages.map(language => [`language:${language}`, sample => sample.languages[language] || 0])
+  ];
+
+  const rows = [
+    columns.map(([name]) => name),
+    ...results.samples.map(sample => columns.map(([, value]) => value(sample)))
+  ];
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+// Format trend samples as a table
+export function formatTrendsAsTable(results) {
+  const header = ['Ref', 'Date', 'Files', 'Lines', 'High+ complexity', 'Debt score'];
+  const rows = results.samples.map(sample => [
+    sample.ref,
+    new Date(sample.date).toISOString().slice(0, 10),
+    String(sample.files),
+    String(sample.lines),
+    String(sample.complexity.high + sample.complexity.veryHigh),
+    String(sample.techDebtScore)
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [formatRow(header), ...rows.map(formatRow)].join('\n') + '\n';
+}
+
+// Generate HTML report with trend charts
+export function generateTrendReport(results, options = {}) {
+  const opts = {
+    title: 'Codebase Trends',
+    ...options
+  };
+
+  const colors = ['#0d6efd', '#198754', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14', '#20c997', '#6c757d', '#d63384', '#0dcaf0'];
+  const labels = results.samples.map(sample => sample.ref);
+
+  const dataset = (label, values, color) => ({
+    label,
+    data: values,
+    borderColor: color,
+    backgroundColor: color,
+    tension: 0.2,
+    fill: false
+  });
+
+  const charts = {
+    size: [
+      dataset('Files', results.samples.map(sample => sample.files), colors[0]),
+      dataset('Lines', results.samples.map(sample => sample.lines), colors[1])
+    ],
+    complexity: [
+      dataset('Low', results.samples.map(sample => sample.complexity.low), colors[1]),
+      dataset('Medium', results.samples.map(sample => sample.complexity.medium), colors[2]),
+      dataset('High', results.samples.map(sample => sample.complexity.high), colors[5]),
+      dataset('Very High', results.samples.map(sample => sample.complexity.veryHigh), colors[3])
+    ],
+    languages: results.languages.map((language, index) =>
+      dataset(language, results.samples.map(sample => sample.languages[language] || 0), colors[index % colors.length])
+    ),
+    techDebt: [
+      dataset('Debt score', results.samples.map(sample => sample.techDebtScore), colors[3]),
+      dataset('TODOs', results.samples.map(sample => sample.todoCount), colors[4])
+    ]
+  };
+
+  const first = results.samples[0];
+  const last = results.samples[results.samples.length - 1];
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(opts.title)}</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js@3.7.1/dist/chart.min.js"></script>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    h1, h2, h3 {
+      color: #333;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .summary-card h3 {
+      margin-top: 0;
+      font-size: 1rem;
+      color: #666;
+    }
+
+    .summary-card p {
+      font-size: 1.5rem;
+      font-weight: bold;
+      margin: 0;
+    }
+
+    .charts {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(500px, 1fr));
+      gap: 2rem;
+    }
+
+    .chart-container {
+      background-color: white;
+      border-radius: 8px;
+      padding: 1.5rem;
+      margin-bottom: 2rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(opts.title)}</h1>
+
+    <div class="summary">
+      <div class="summary-card">
+        <h3>Samples</h3>
+        <p>${results.samples.length}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Files</h3>
+        <p>${first ? `${first.files} → ${last.files}` : 'N/A'}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Lines</h3>
+        <p>${first ? `${first.lines} → ${last.lines}` : 'N/A'}</p>
+      </div>
+
+      <div class="summary-card">
+        <h3>Debt Score</h3>
+        <p>${first ? `${first.techDebtScore} → ${last.techDebtScore}` : 'N/A'}</p>
+      </div>
+    </div>
+
+    <div class="charts">
+      <div class="chart-container">
+        <h2>Size</h2>
+        <canvas id="size-chart"></canvas>
+      </div>
+
+      <div class="chart-container">
+        <h2>Complexity Distribution</h2>
+        <canvas id="complexity-chart"></canvas>
+      </div>
+
+      <div class="chart-container">
+        <h2>Files by Language</h2>
+        <canvas id="languages-chart"></canvas>
+      </div>
+
+      <div class="chart-container">
+        <h2>Technical Debt</h2>
+        <canvas id="tech-debt-chart"></canvas>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const labels = ${toScriptJson(labels)};
+    const charts = ${toScriptJson(charts)};
+
+    // One line chart per measurement group
+    [
+      ['size-chart', charts.size],
+      ['complexity-chart', charts.complexity],
+      ['languages-chart', charts.languages],
+      ['tech-debt-chart', charts.techDebt]
+    ].forEach(([id, datasets]) => {
+      new Chart(document.getElementById(id), {
+        type: 'line',
+        data: {
+          labels,
+          datasets
+        },
+        options: {
+          responsive: true,
+          scales: {
+            y: {
+              beginAtZero: true
+            }
+          }
+        }
+      });
+    });
+  </script>
+</body>
+</html>`;
+
+  return html;
+}
+
+// Pick the commits or tags to measure, oldest first
+async function selectSamplePoints(directory, opts) {
+  if (opts.refs.length > 0) {
+    const points = [];
+
+    for (const ref of opts.refs) {
+      const [commit] = await readGitLog(directory, {
+        maxCommits: 1,
+        numstat: false,
+        includeMergeCommits: true,
+        revision: ref
+      });
+
+      if (!commit) {
+        throw new Error(`Unknown git ref: ${ref}`);
+      }
+
+      points.push({ ref, hash: commit.hash, date: commit.date, subject: commit.subject });
+    }
+
+    return points;
+  }
+
+  const candidates = opts.tags
+    ? await selectTags(directory, opts)
+    : (await readGitLog(directory, {
+      maxCommits: Infinity,
+      numstat: false,
+      includeMergeCommits: true,
+      firstParent: true,
+      since: opts.since,
+      until: opts.until,
+      revision: opts.revision,
+      pathspec: ['.']
+    }))
+      .reverse()
+      .map(commit => ({ ref: commit.hash.slice(0, 7), hash: commit.hash, date: commit.date, subject: commit.subject }));
+
+  return sampleEvenly(candidates, opts.samples);
+}
+
+// Tags within the since, until and revision bounds, oldest first
+async function selectTags(directory, opts) {
+  // Tags are filtered by date here, since for-each-ref has no --since
+  const since = opts.since ? await resolveGitDate(directory, opts.since) : null;
+  const until = opts.until ? await resolveGitDate(directory, opts.until) : null;
+
+  const inRevision = opts.revision
+    ? new Set((await readGitLog(directory, {
+      maxCommits: Infinity,
+      numstat: false,
+      includeMergeCommits: true,
+      revision: opts.revision
+    })).map(commit => commit.hash))
+    : null;
+
+  return (await listGitTags(directory))
+    .filter(tag => (!since || tag.date >= since) && (!until || tag.date <= until))
+    .filter(tag => !inRevision || inRevision.has(tag.hash))
+    .map(tag => ({ ref: tag.name, hash: tag.hash, date: tag.date, subject: tag.subject }));
+}
+
+// Pick `count` items spread evenly over a list, always keeping the first and last
+function sampleEvenly(items, count) {
+  if (items.length <= count) {
+    return items;
+  }
+
+  if (count <= 1) {
+    return items.slice(-1);
+  }
+
+  const indices = new Set();
+
+  for (let i = 0; i < count; i++) {
+    indices.add(Math.round((i * (items.length - 1)) / (count - 1)));
+  }
+
+  return [...indices].map(index => items[index]);
+}
+
+// Totals for one point in history
+function measureStructure(structure) {
+  const totals = {
+    files: 0,
+    size: 0,
+    lines: 0,
+    codeLines: 0,
+    complexity: {
+      low: 0,
+      medium: 0,
+      high: 0,
+      veryHigh: 0
+    },
+    languages: {}
+  };
+
+  function traverse(node) {
+    if (node.type === 'file') {
+      totals.files++;
+      totals.size += node.size || 0;
+
+      if (node.content !== undefined && !node.content.includes('\0')) {
+        totals.lines += countLines(node.content);
+      }
+
+      if (node.language) {
+        totals.languages[node.language] = (totals.languages[node.language] || 0) + 1;
+      }
+
+      if (node.complexity) {
+        totals.codeLines += node.complexity.codeLines || 0;
+
+        const level = node.complexity.complexity === 'very high' ? 'veryHigh' : node.complexity.complexity;
+        totals.complexity[level]++;
+      }
+    }
+
+    if (node.children) {
+      node.children.forEach(traverse);
+    }
+  }
+
+  traverse(structure);
+
+  const techDebt = analyzeTechDebt(structure);
+
+  return {
+    ...totals,
+    techDebtScore: techDebt.summary.debtScore,
+    todoCount: techDebt.summary.todoCount
+  };
+}
+
+// Count lines the way wc -l does, plus a last line without a newline
+function countLines(content) {
+  const newlines = content.split('\n').length - 1;
+  return content === '' || content.endsWith('\n') ? newlines : newlines + 1;
+}
+
+// Quote a CSV field if needed
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Serialize a value for an inline script; an escaped `<` can't close the script element
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
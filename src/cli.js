@@ -9,11 +9,20 @@ import {
   extractStructure, 
   formatAsTree, 
   toPaths, 
+  filterChangedFiles,
   getStats, 
   diffStructures, 
+  diffStructures3,
+  formatDiff3AsTree,
+  formatDiffAsTree,
+  formatDiffAsPatch,
+  exportDiffToHtml,
   exportToMarkdown, 
   exportToHtml, 
   watchStructure,
+  clearScanCache,
+  saveSnapshot,
+  loadSnapshot,
   analyzeCodeComplexity
 } from './core.js';
 import { 
@@ -32,6 +41,46 @@ import {
   analyzeGitHistory, 
   generateGitReport 
 } from './analyzers/git-analyzer.js';
+import { 
+  analyzeOwnership, 
+  generateCodeowners, 
+  validateCodeowners, 
+  findCodeowners, 
+  formatOwnershipAsTree, 
+  generateOwnershipReport 
+} from './analyzers/ownership-analyzer.js';
+import { 
+  analyzeStaleness, 
+  formatStalenessAsTree, 
+  generateStalenessReport 
+} from './analyzers/staleness-analyzer.js';
+import { 
+  analyzeHotspots, 
+  formatHotspotsAsTree, 
+  generateHotspotReport 
+} from './analyzers/hotspot-analyzer.js';
+import { 
+  analyzeTemporalCoupling, 
+  formatCouplingAsTree, 
+  generateCouplingReport 
+} from './analyzers/coupling-analyzer.js';
+import { 
+  analyzeTrends, 
+  trendsToCsv, 
+  formatTrendsAsTable, 
+  generateTrendReport 
+} from './analyzers/trend-analyzer.js';
+import { 
+  analyzeCommits, 
+  generateChangelog, 
+  updateChangelog, 
+  formatCommitsAsTree 
+} from './analyzers/commit-analyzer.js';
+import { 
+  findDuplicateFiles, 
+  formatDuplicateFilesAsTree, 
+  generateDuplicateFilesReport 
+} from './analyzers/file-duplicates-analyzer.js';
 import { 
   analyzeDocumentation, 
   generateMarkdownDocumentation, 
@@ -53,6 +102,20 @@ program
   .option('-d, --depth <number>', 'maximum depth to traverse', 'Infinity')
   .option('-i, --ignore <dirs...>', 'directories to ignore', ['node_modules', '.git'])
   .option('--ignore-files <files...>', 'files to ignore', ['.DS_Store'])
+  .option('--include <pattern>', 'only include files matching a glob pattern (repeatable)', collect, [])
+  .option('--exclude <pattern>', 'skip files and directories matching a glob pattern (repeatable)', collect, [])
+  .option('--symlinks <mode>', 'how to handle symbolic links (follow, skip, or report)', 'follow')
+  .option('--gitignore', 'skip files ignored by .gitignore and .git/info/exclude')
+  .option('--git-status', 'mark files the way git status does (modified, staged, untracked, ignored, conflicted)')
+  .option('--changed-only', 'only show files with uncommitted changes and their directories')
+  .option('--hash', 'include file hashes')
+  .option('--hash-algorithm <algorithm>', 'hash algorithm (md5, sha1, sha256, or sha512)', 'md5')
+  .option('--hash-directories', 'compute directory hashes from their contents')
+  .option('--cache', 'reuse hashes and analysis of unchanged files from the previous run')
+  .option('--no-cache', 'neither read nor write the scan cache, even with --cache or --cache-file')
+  .option('--cache-file <file>', 'scan cache location, relative to the scanned directory (turns on --cache; default .ansa-fs-cache.json)')
+  .option('--clear-cache', 'delete the scan cache before scanning')
+  .option('--concurrency <number>', 'maximum number of parallel file system operations', '1')
   .option('-j, --json', 'output as JSON')
   .option('-p, --paths', 'output as a list of paths')
   .option('-s, --stats', 'show statistics')
@@ -72,6 +135,10 @@ program
   .option('--duplication-threshold <number>', 'minimum lines for duplication detection', '5')
   .option('--duplication-ignore <patterns...>', 'patterns to ignore in duplication detection', [])
   
+  // Duplicate file detection
+  .option('--find-duplicates', 'find files with identical content')
+  .option('--min-duplicate-size <bytes>', 'ignore files smaller than this when finding duplicates', '1')
+  
   // Dependency analysis
   .option('--analyze-dependencies', 'analyze project dependencies')
   .option('--dependency-types <types...>', 'dependency types to analyze', ['js', 'ts', 'jsx', 'tsx'])
@@ -86,7 +153,48 @@ program
   .option('--analyze-git', 'analyze git history')
   .option('--git-depth <number>', 'number of commits to analyze', '100')
   .option('--git-since <date>', 'analyze commits since date')
+  .option('--git-until <date>', 'analyze commits until date')
+  .option('--git-range <range>', 'analyze commits in a range, e.g. v1.0..v2.0')
   .option('--git-authors', 'include author statistics')
+  .option('--git-blame', 'run git blame on every file for line-level authorship (slow on large repositories)')
+  .option('--author-aliases <file>', 'JSON file mapping author names or emails to one identity (on top of .mailmap)')
+  .option('--exclude-bots', 'leave out dependabot, renovate and other automated accounts')
+  .option('--bot-patterns <patterns...>', 'more author names or emails to leave out (regular expressions)', [])
+  
+  // Ownership analysis
+  .option('--analyze-ownership', 'analyze code ownership and bus factor from git blame')
+  .option('--ownership-coverage <percent>', 'share of lines the bus factor authors must cover', '80')
+  .option('--departed-after <days>', 'treat authors without commits for this many days as departed', '180')
+  .option('--departed-authors <authors...>', 'names or emails of authors who have left', [])
+  .option('--write-codeowners [file]', 'write a CODEOWNERS file generated from ownership data')
+  .option('--codeowners-handles <file>', 'JSON file mapping author names or emails to GitHub handles')
+  
+  // Staleness analysis
+  .option('--analyze-staleness', 'report file and line age per directory from git blame')
+  .option('--stale-after <months>', 'lines unchanged for this many months count as stale', '12')
+  .option('--active-window <months>', 'flag files whose main author has not committed for this many months', '12')
+  
+  // Hotspot analysis
+  .option('--analyze-hotspots', 'rank files by risk from git churn and complexity')
+  .option('--hotspot-limit <number>', 'number of hotspots to report', '50')
+  
+  // Temporal coupling analysis
+  .option('--analyze-coupling', 'find files that change together in the same commits')
+  .option('--coupling-min-shared <number>', 'minimum number of shared commits for a pair', '3')
+  .option('--coupling-min-ratio <percent>', 'minimum coupling ratio for a pair', '30')
+  .option('--coupling-max-files <number>', 'skip commits that touch more files than this', '30')
+  
+  // Trend analysis
+  .option('--analyze-trends', 'measure size, complexity and technical debt at points in git history')
+  .option('--trend-samples <number>', 'number of commits or tags to measure', '10')
+  .option('--trend-tags', 'measure tags instead of mainline commits')
+  .option('--trend-refs <refs...>', 'measure exactly these commits, tags or branches')
+  .option('--trend-csv', 'output trend data as CSV')
+  
+  // Commit message analysis
+  .option('--analyze-commits', 'check commit messages against Conventional Commits and report activity per scope')
+  .option('--changelog [file]', 'generate a changelog section for --git-range (printed, or added to the top of the file)')
+  .option('--changelog-version <version>', 'version heading for the changelog section (defaults to the end of --git-range)')
   
   // Documentation generation
   .option('--generate-docs', 'generate project documentation')
@@ -103,6 +211,15 @@ program
   
   // Comparison
   .option('--diff <directory>', 'compare with another directory')
+  .option('--save-snapshot <file>', 'save the structure with hashes and metadata to a snapshot file')
+  .option('--diff-snapshot <file>', 'compare the directory against a saved snapshot')
+  .option('--diff-ref <range>', 'compare two git refs (A..B), or a ref with the working tree, without checking them out')
+  .option('--git-ref <ref>', 'read the directory as of a git commit, branch or tag')
+  .option('--diff3 <base>', 'three-way comparison of the directory (ours) and --theirs against a base directory')
+  .option('--theirs <directory>', 'their directory for --diff3')
+  .option('--no-renames', 'report moved files as a removal plus an addition')
+  .option('--rename-similarity <percent>', 'also detect renamed files whose content is at least this similar')
+  .option('--diff-format <format>', 'show line changes of modified files as patch, color or html')
   
   // Parse arguments
   .argument('[directory]', 'directory to analyze', '.')
@@ -118,47 +235,180 @@ async function main() {
   
   try {
     // Configure extraction options
+    // --cache-file turns the cache on, and --no-cache turns it off whatever else is given
+    const useCache = options.cache !== false && Boolean(options.cache || options.cacheFile);
+    
     const extractionOptions = {
       maxDepth: options.depth === 'Infinity' ? Number.POSITIVE_INFINITY : Number.parseInt(options.depth, 10),
       ignoreDirs: options.ignore,
       ignoreFiles: options.ignoreFiles,
-      includeContent: options.analyzeComplexity || options.analyzeDuplication || options.analyzeDependencies || 
-                     options.analyzeTechDebt || options.generateDocs,
+      concurrency: Number.parseInt(options.concurrency, 10),
+      respectGitignore: Boolean(options.gitignore),
+      include: options.include,
+      exclude: options.exclude,
+      symlinks: options.symlinks,
+      // Snapshots record hashes and modification times so later diffs can detect content changes
+      includeHash: Boolean(options.hash || options.diff || options.diffRef || options.diff3 || 
+                           options.saveSnapshot || options.diffSnapshot),
+      includeModTime: Boolean(options.saveSnapshot || options.diffSnapshot),
+      hashAlgorithm: options.hashAlgorithm,
+      hashDirectories: Boolean(options.hashDirectories),
+      cache: useCache,
+      cacheFile: options.cacheFile,
+      // Complexity analysis reads files on its own, so with the cache, unchanged files are skipped
+      // instead of having their content included
+      includeContent: (options.analyzeComplexity && !useCache) || options.analyzeDuplication || options.analyzeDependencies || 
+                     options.analyzeTechDebt || options.generateDocs || options.analyzeCoupling ||
+                     Boolean((options.diff || options.diffRef) && (options.renameSimilarity || options.diffFormat)),
       detectLanguage: options.analyzeComplexity || options.analyzeDuplication || options.analyzeDependencies || 
-                     options.analyzeTechDebt || options.generateDocs,
-      analyzeComplexity: options.analyzeComplexity,
+                     options.analyzeTechDebt || options.generateDocs || options.analyzeHotspots,
+      analyzeComplexity: options.analyzeComplexity || options.analyzeHotspots,
       includeSize: true,
-      complexityThreshold: options.complexityThreshold,
-      detailedComplexity: options.detailedComplexity
+      // Hotspots need complexity for every file, not just the complex ones
+      complexityThreshold: options.analyzeHotspots ? 'low' : options.complexityThreshold,
+      detailedComplexity: options.detailedComplexity,
+      gitRef: options.gitRef,
+      gitStatus: Boolean(options.gitStatus || options.changedOnly)
+    };
+    
+    const diffOptions = {
+      detectRenames: options.renames,
+      renameSimilarity: options.renameSimilarity ? Number.parseFloat(options.renameSimilarity) / 100 : null,
+      contentDiff: Boolean(options.diffFormat)
     };
     
+    // How git authors are merged into one identity per person
+    const identityOptions = {
+      aliases: options.authorAliases ? JSON.parse(fs.readFileSync(options.authorAliases, 'utf8')) : {},
+      excludeBots: Boolean(options.excludeBots),
+      botPatterns: options.botPatterns
+    };
+    
+    if (options.clearCache) {
+      spinner.text = 'Clearing scan cache...';
+      await clearScanCache(directory, { cacheFile: options.cacheFile });
+    }
+    
+    // A snapshot file saved inside the scanned directory is not part of the structure
+    const snapshotFile = options.saveSnapshot || options.diffSnapshot;
+    
+    if (snapshotFile) {
+      const relativeSnapshot = path.relative(path.resolve(directory), path.resolve(snapshotFile));
+      
+      if (!relativeSnapshot.startsWith('..') && !path.isAbsolute(relativeSnapshot)) {
+        extractionOptions.exclude = [...extractionOptions.exclude, escapeGlob(relativeSnapshot.split(path.sep).join('/'))];
+      }
+    }
+    
+    let snapshot;
+    
+    if (options.diffSnapshot) {
+      snapshot = await loadSnapshot(options.diffSnapshot);
+      
+      // Hashes are only comparable when computed with the algorithm the snapshot used
+      const snapshotAlgorithm = snapshot.metadata && snapshot.metadata.hashAlgorithm;
+      
+      if (snapshotAlgorithm && snapshotAlgorithm !== extractionOptions.hashAlgorithm) {
+        spinner.warn(`Using the snapshot's hash algorithm (${snapshotAlgorithm}) instead of ${extractionOptions.hashAlgorithm}`);
+        spinner.start();
+        extractionOptions.hashAlgorithm = snapshotAlgorithm;
+      }
+      
+      if ((options.diffFormat || options.renameSimilarity) && !hasFileContent(snapshot.structure)) {
+        spinner.warn('The snapshot has no file contents, so --diff-format and --rename-similarity are ignored');
+        spinner.start();
+      }
+    }
+    
+    // Handle git ref diff mode. Refs are read from git, so the working tree
+    // is only scanned when a single ref is compared with it
+    if (options.diffRef) {
+      if (options.diffRef.includes('...')) {
+        throw new Error(`--diff-ref compares A..B; for changes since the merge base of "${options.diffRef}", use "$(git merge-base A B)..B"`);
+      }
+      
+      const [fromRef, toRef] = options.diffRef.split('..');
+      
+      if (!fromRef || toRef === '') {
+        throw new Error(`--diff-ref expects A..B or a single ref, got "${options.diffRef}"`);
+      }
+      
+      spinner.text = `Comparing ${options.diffRef}...`;
+      const fromStructure = await extractStructure(directory, { ...extractionOptions, gitRef: fromRef });
+      
+      // Without a second ref, compare against the working tree
+      const toStructure = await extractStructure(directory, { ...extractionOptions, gitRef: toRef || null });
+      
+      const diff = diffStructures(fromStructure, toStructure, diffOptions);
+      
+      spinner.succeed('Comparison completed');
+      printDiff(diff, options);
+      return;
+    }
+    
     // Extract the structure
     spinner.text = 'Extracting file system structure...';
-    const structure = await extractStructure(directory, extractionOptions);
+    const extracted = await extractStructure(directory, extractionOptions);
+    const structure = options.changedOnly ? filterChangedFiles(extracted) : extracted;
     structure.name = path.basename(path.resolve(directory));
     
+    // Save a snapshot before anything else, so it can be combined with other modes
+    if (options.saveSnapshot) {
+      spinner.text = `Saving snapshot to ${options.saveSnapshot}...`;
+      await saveSnapshot(structure, options.saveSnapshot, {
+        metadata: {
+          directory: path.resolve(directory),
+          ansaFsVersion: packageJson.version,
+          hashAlgorithm: extractionOptions.hashAlgorithm
+        }
+      });
+      spinner.succeed(`Snapshot saved to ${options.saveSnapshot}`);
+      spinner.start();
+    }
+    
     // Handle diff mode
     if (options.diff) {
       spinner.text = `Comparing with ${options.diff}...`;
       const otherStructure = await extractStructure(options.diff, extractionOptions);
       otherStructure.name = path.basename(path.resolve(options.diff));
       
-      const diff = diffStructures(structure, otherStructure);
+      const diff = diffStructures(structure, otherStructure, diffOptions);
       
       spinner.succeed('Comparison completed');
+      printDiff(diff, options);
+    }
+    // Handle snapshot diff mode
+    else if (options.diffSnapshot) {
+      spinner.text = `Comparing with snapshot ${options.diffSnapshot}...`;
+      
+      // The snapshot is the older side, so "added" means new since the snapshot was taken
+      const diff = diffStructures(snapshot.structure, structure, diffOptions);
+      
+      spinner.succeed(`Compared with snapshot from ${snapshot.createdAt.toISOString()}`);
+      printDiff(diff, options);
+    }
+    // Handle three-way diff mode
+    else if (options.diff3) {
+      if (!options.theirs) {
+        throw new Error('--diff3 needs their directory: --diff3 <base> --theirs <directory>');
+      }
+      
+      const basePath = options.diff3;
+      const theirsPath = options.theirs;
+      
+      spinner.text = `Comparing with ${theirsPath} against ${basePath}...`;
+      const baseStructure = await extractStructure(basePath, extractionOptions);
+      const theirStructure = await extractStructure(theirsPath, extractionOptions);
+      
+      const diff3 = diffStructures3(baseStructure, structure, theirStructure, diffOptions);
+      
+      spinner.succeed('Three-way comparison completed');
       
       if (options.json) {
-        outputResult(diff, options);
+        outputResult(diff3, options);
       } else {
-        console.log(chalk.bold('\nComparison Results:'));
-        console.log(chalk.bold('\nAdded:'));
-        console.log(diff.added.length ? formatAsTree({ name: 'Added', children: diff.added }) : 'None');
-        
-        console.log(chalk.bold('\nRemoved:'));
-        console.log(diff.removed.length ? formatAsTree({ name: 'Removed', children: diff.removed }) : 'None');
-        
-        console.log(chalk.bold('\nModified:'));
-        console.log(diff.modified.length ? formatAsTree({ name: 'Modified', children: diff.modified }) : 'None');
+        console.log(chalk.bold('\nThree-way Comparison Results:\n'));
+        console.log(formatDiff3AsTree(diff3));
       }
     }
     // Handle watch mode
@@ -196,14 +446,20 @@ async function main() {
             }
           }
         });
-      }, { ignoreDirs: options.ignore, ignoreFiles: options.ignoreFiles });
+      }, {
+        ignoreDirs: options.ignore,
+        ignoreFiles: options.ignoreFiles,
+        respectGitignore: Boolean(options.gitignore),
+        include: options.include,
+        exclude: options.exclude
+      });
     }
     // Handle normal mode
     else {
       spinner.succeed('Analysis completed');
       
       // Perform additional analyses if requested
-      let duplicationResults, dependencyResults, techDebtResults, gitResults, documentation;
+      let duplicationResults, fileDuplicateResults, dependencyResults, techDebtResults, gitResults, ownershipResults, stalenessResults, hotspotResults, couplingResults, trendResults, documentation;
       
       // Code duplication analysis
       if (options.analyzeDuplication) {
@@ -230,6 +486,25 @@ async function main() {
         }
       }
       
+      // Duplicate file detection
+      if (options.findDuplicates) {
+        spinner.text = 'Finding duplicate files...';
+        spinner.start();
+        
+        fileDuplicateResults = await findDuplicateFiles(structure, {
+          minSize: Number.parseInt(options.minDuplicateSize, 10),
+          algorithm: extractionOptions.hashAlgorithm
+        });
+        
+        spinner.succeed('Duplicate file detection completed');
+        
+        if (options.json) {
+          outputResult(fileDuplicateResults, options);
+        } else if (!options.html) {
+          outputResult(formatDuplicateFilesAsTree(fileDuplicateResults), options);
+        }
+      }
+      
       // Dependency analysis
       if (options.analyzeDependencies) {
         spinner.text = 'Analyzing project dependencies...';
@@ -293,33 +568,257 @@ async function main() {
         spinner.start();
         
         gitResults = await analyzeGitHistory(structure, {
-          depth: Number.parseInt(options.gitDepth, 10),
+          maxCommits: Number.parseInt(options.gitDepth, 10),
           since: options.gitSince,
-          includeAuthors: options.gitAuthors
+          until: options.gitUntil,
+          revision: options.gitRange,
+          blame: Boolean(options.gitBlame),
+          ...identityOptions
         });
         
+        if (!gitResults.isGitRepo) {
+          throw new Error(`Git history analysis failed: ${gitResults.error}`);
+        }
+        
         spinner.succeed('Git history analysis completed');
         
-        if (!options.output && !options.html && !options.markdown) {
+        if (options.json) {
+          outputResult(gitResults, options);
+        } else if (!options.html && !options.markdown) {
           console.log(chalk.bold('\nGit History Analysis Results:'));
-          console.log(`Analyzed ${gitResults.totalCommits} commits from ${gitResults.authors.length} authors`);
+          console.log(`Analyzed ${gitResults.commits.total} commits touching ${gitResults.scope.path} from ${gitResults.contributors.length} authors`);
           
-          if (gitResults.authors.length > 0) {
+          if (options.gitAuthors && gitResults.contributors.length > 0) {
             console.log(chalk.bold('\nTop Contributors:'));
-            gitResults.authors.slice(0, 5).forEach(author => {
-              console.log(`- ${author.name}: ${author.commits} commits`);
+            gitResults.contributors.slice(0, 5).forEach(contributor => {
+              console.log(`- ${contributor.name}: ${contributor.commits} commits (${contributor.percentage}%)`);
             });
           }
           
-          if (gitResults.hotFiles.length > 0) {
+          if (gitResults.fileChurn.length > 0) {
             console.log(chalk.bold('\nMost Changed Files:'));
-            gitResults.hotFiles.slice(0, 5).forEach(file => {
-              console.log(`- ${file.path}: ${file.changes} changes`);
+            gitResults.fileChurn.slice(0, 5).forEach(file => {
+              console.log(`- ${file.file}: ${file.changes} changes (+${file.additions} -${file.deletions})`);
             });
           }
         }
       }
       
+      // Ownership analysis
+      if (options.analyzeOwnership || options.writeCodeowners) {
+        spinner.text = 'Analyzing code ownership...';
+        spinner.start();
+        
+        ownershipResults = await analyzeOwnership(structure, {
+          coverage: Number.parseFloat(options.ownershipCoverage) / 100,
+          departedAfterDays: Number.parseInt(options.departedAfter, 10),
+          departedAuthors: options.departedAuthors,
+          since: options.gitSince,
+          until: options.gitUntil,
+          revision: options.gitRange,
+          ...identityOptions
+        });
+        
+        if (!ownershipResults.isGitRepo) {
+          throw new Error(`Ownership analysis failed: ${ownershipResults.error}`);
+        }
+        
+        spinner.succeed('Ownership analysis completed');
+        
+        const handles = options.codeownersHandles 
+          ? JSON.parse(fs.readFileSync(options.codeownersHandles, 'utf8')) 
+          : {};
+        
+        if (options.writeCodeowners) {
+          const codeownersFile = typeof options.writeCodeowners === 'string' ? options.writeCodeowners : 'CODEOWNERS';
+          fs.writeFileSync(codeownersFile, generateCodeowners(ownershipResults, { handles }));
+          console.log(chalk.green(`CODEOWNERS written to ${codeownersFile}`));
+        } else {
+          // Check an existing CODEOWNERS file against the blame data
+          const codeownersFile = findCodeowners(ownershipResults.repoRoot);
+          
+          if (codeownersFile) {
+            ownershipResults.codeowners = {
+              file: codeownersFile,
+              ...validateCodeowners(fs.readFileSync(codeownersFile, 'utf8'), ownershipResults, { handles })
+            };
+          }
+        }
+        
+        if (options.json) {
+          outputResult(ownershipResults, options);
+        } else if (!options.html) {
+          console.log(formatOwnershipAsTree(ownershipResults));
+          
+          const { codeowners } = ownershipResults;
+          
+          if (codeowners) {
+            console.log(chalk.bold(`${path.relative(process.cwd(), codeowners.file)}:`));
+            console.log(codeowners.valid ? chalk.green('  Matches the blame data') : [
+              `  ${codeowners.unowned.length} files without owners`,
+              `  ${codeowners.mismatched.length} files owned by someone who wrote little of them`,
+              `  ${codeowners.departedOwners.length} rules naming departed authors`
+            ].join('\n'));
+          }
+        }
+      }
+      
+      // Staleness analysis
+      if (options.analyzeStaleness) {
+        spinner.text = 'Analyzing code staleness...';
+        spinner.start();
+        
+        stalenessResults = await analyzeStaleness(structure, {
+          staleAfterMonths: Number.parseInt(options.staleAfter, 10),
+          activeMonths: Number.parseInt(options.activeWindow, 10),
+          until: options.gitUntil,
+          revision: options.gitRange,
+          ...identityOptions
+        });
+        
+        if (!stalenessResults.isGitRepo) {
+          throw new Error(`Staleness analysis failed: ${stalenessResults.error}`);
+        }
+        
+        spinner.succeed('Staleness analysis completed');
+        
+        if (options.json) {
+          outputResult(stalenessResults, options);
+        } else if (!options.html) {
+          console.log(formatStalenessAsTree(stalenessResults));
+        }
+      }
+      
+      // Hotspot analysis
+      if (options.analyzeHotspots) {
+        spinner.text = 'Analyzing hotspots...';
+        spinner.start();
+        
+        hotspotResults = await analyzeHotspots(structure, {
+          since: options.gitSince,
+          until: options.gitUntil,
+          revision: options.gitRange,
+          limit: Number.parseInt(options.hotspotLimit, 10),
+          ...identityOptions
+        });
+        
+        if (!hotspotResults.isGitRepo) {
+          throw new Error(`Hotspot analysis failed: ${hotspotResults.error}`);
+        }
+        
+        spinner.succeed('Hotspot analysis completed');
+        
+        if (options.json) {
+          outputResult(hotspotResults, options);
+        } else if (!options.html) {
+          console.log(formatHotspotsAsTree(hotspotResults));
+        }
+      }
+      
+      // Temporal coupling analysis
+      if (options.analyzeCoupling) {
+        spinner.text = 'Analyzing temporal coupling...';
+        spinner.start();
+        
+        couplingResults = await analyzeTemporalCoupling(structure, {
+          since: options.gitSince,
+          until: options.gitUntil,
+          revision: options.gitRange,
+          minSharedCommits: Number.parseInt(options.couplingMinShared, 10),
+          minCoupling: Number.parseFloat(options.couplingMinRatio) / 100,
+          maxFilesPerCommit: Number.parseInt(options.couplingMaxFiles, 10),
+          ...identityOptions
+        });
+        
+        if (!couplingResults.isGitRepo) {
+          throw new Error(`Temporal coupling analysis failed: ${couplingResults.error}`);
+        }
+        
+        spinner.succeed('Temporal coupling analysis completed');
+        
+        if (options.json) {
+          outputResult(couplingResults, options);
+        } else if (!options.html) {
+          console.log(formatCouplingAsTree(couplingResults));
+        }
+      }
+      
+      // Trend analysis
+      if (options.analyzeTrends) {
+        spinner.text = 'Measuring history...';
+        spinner.start();
+        
+        trendResults = await analyzeTrends(structure.path, {
+          samples: Number.parseInt(options.trendSamples, 10),
+          tags: Boolean(options.trendTags),
+          refs: options.trendRefs || [],
+          since: options.gitSince,
+          until: options.gitUntil,
+          revision: options.gitRange,
+          structureOptions: { ...extractionOptions, gitRef: null },
+          onSample: (sample, index, total) => {
+            spinner.text = `Measuring history... (${index}/${total}: ${sample.ref})`;
+          }
+        });
+        
+        if (!trendResults.isGitRepo) {
+          throw new Error(`Trend analysis failed: ${trendResults.error}`);
+        }
+        
+        spinner.succeed(`Trend analysis completed (${trendResults.samples.length} samples)`);
+        
+        if (options.json) {
+          outputResult(trendResults, options);
+        } else if (options.trendCsv) {
+          outputResult(trendsToCsv(trendResults), options);
+        } else if (!options.html) {
+          console.log(formatTrendsAsTable(trendResults));
+        }
+      }
+      
+      // Commit message analysis
+      if (options.analyzeCommits || options.changelog) {
+        spinner.text = 'Analyzing commit messages...';
+        spinner.start();
+        
+        const commitResults = await analyzeCommits(structure.path, {
+          since: options.gitSince,
+          until: options.gitUntil,
+          revision: options.gitRange,
+          ...identityOptions
+        });
+        
+        if (!commitResults.isGitRepo) {
+          throw new Error(`Commit analysis failed: ${commitResults.error}`);
+        }
+        
+        spinner.succeed(`Commit analysis completed (${commitResults.summary.total} commits)`);
+        
+        if (options.analyzeCommits) {
+          if (options.json) {
+            outputResult(commitResults, options);
+          } else {
+            console.log(formatCommitsAsTree(commitResults));
+          }
+        }
+        
+        if (options.changelog) {
+          // "v1.0..v2.0" is released as v2.0
+          const rangeEnd = (options.gitRange || '').split('..').pop().replace(/^\./, '');
+          const section = generateChangelog(commitResults, {
+            version: options.changelogVersion || (rangeEnd && rangeEnd !== 'HEAD' ? rangeEnd : 'Unreleased')
+          });
+          
+          if (typeof options.changelog === 'string') {
+            const existing = fs.existsSync(options.changelog) ? fs.readFileSync(options.changelog, 'utf8') : '';
+            fs.writeFileSync(options.changelog, updateChangelog(existing, section));
+            console.log(chalk.green(`Changelog written to ${options.changelog}`));
+          } else {
+            console.log(section);
+          }
+        }
+      }
+      
       // Documentation generation
       if (options.generateDocs) {
         spinner.text = 'Generating project documentation...';
@@ -366,8 +865,11 @@ async function main() {
       }
       
       // Output basic results if no specific analysis was requested
-      if (!options.analyzeDuplication && !options.analyzeDependencies && 
-          !options.analyzeTechDebt && !options.analyzeGit && !options.generateDocs) {
+      if (!options.analyzeDuplication && !options.findDuplicates && !options.analyzeDependencies && 
+          !options.analyzeTechDebt && !options.analyzeGit && !options.analyzeOwnership && 
+          !options.writeCodeowners && !options.analyzeStaleness && !options.analyzeHotspots && 
+          !options.analyzeCoupling && !options.analyzeTrends && !options.analyzeCommits && 
+          !options.changelog && !options.generateDocs) {
         
         // Output the structure
         if (options.json || options.paths || (!options.markdown && !options.html && !options.output)) {
@@ -453,6 +955,17 @@ async function main() {
             console.log(chalk.green(`Duplication report exported to ${outputFile}`));
           }
           
+          if (options.findDuplicates && fileDuplicateResults) {
+            const htmlReport = generateDuplicateFilesReport(fileDuplicateResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Duplicate Files Report`
+            });
+            
+            const outputFile = options.output || 'duplicate-files-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Duplicate files report exported to ${outputFile}`));
+          }
+          
           if (options.analyzeDependencies && dependencyResults) {
             const htmlReport = generateDependencyGraph(dependencyResults, {
               darkMode: options.darkMode,
@@ -485,6 +998,61 @@ async function main() {
             fs.writeFileSync(outputFile, htmlReport);
             console.log(chalk.green(`Git history report exported to ${outputFile}`));
           }
+          
+          if (ownershipResults) {
+            const htmlReport = generateOwnershipReport(ownershipResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Code Ownership Report`
+            });
+            
+            const outputFile = options.output || 'ownership-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Ownership report exported to ${outputFile}`));
+          }
+          
+          if (stalenessResults) {
+            const htmlReport = generateStalenessReport(stalenessResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Code Staleness Report`
+            });
+            
+            const outputFile = options.output || 'staleness-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Staleness report exported to ${outputFile}`));
+          }
+          
+          if (hotspotResults) {
+            const htmlReport = generateHotspotReport(hotspotResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Hotspot Report`
+            });
+            
+            const outputFile = options.output || 'hotspot-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Hotspot report exported to ${outputFile}`));
+          }
+          
+          if (couplingResults) {
+            const htmlReport = generateCouplingReport(couplingResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Temporal Coupling Report`
+            });
+            
+            const outputFile = options.output || 'coupling-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Temporal coupling report exported to ${outputFile}`));
+          }
+          
+          if (trendResults) {
+            const htmlReport = generateTrendReport(trendResults, {
+              darkMode: options.darkMode,
+              title: `${structure.name} - Trend Report`
+            });
+            
+            const outputFile = options.output || 'trend-report.html';
+            fs.writeFileSync(outputFile, htmlReport);
+            console.log(chalk.green(`Trend report exported to ${outputFile}`));
+          }
         }
       }
     }
@@ -498,6 +1066,81 @@ async function main() {
   }
 }
 
+// Helper function to print a structure comparison
+function printDiff(diff, options) {
+  if (options.diffFormat === 'patch') {
+    outputResult(formatDiffAsPatch(diff), options);
+    return;
+  }
+  
+  if (options.diffFormat === 'html') {
+    const outputFile = options.output || 'diff-report.html';
+    fs.writeFileSync(outputFile, exportDiffToHtml(diff, { title: 'Structure Diff' }));
+    console.log(chalk.green(`Diff report exported to ${outputFile}`));
+    return;
+  }
+  
+  if (options.json) {
+    outputResult(diff, options);
+    return;
+  }
+  
+  const changeCount = diff.added.length + diff.removed.length + diff.modified.length + diff.renamed.length;
+  
+  console.log(chalk.bold('\nComparison Results:\n'));
+  console.log(changeCount ? formatDiffAsTree(diff) : 'No changes');
+  
+  if (diff.contentSummary) {
+    console.log(chalk.bold('\nLine changes by directory:'));
+    
+    const directories = Object.entries(diff.contentSummary).sort(([a], [b]) => a.localeCompare(b));
+    console.log(directories.length
+      ? directories.map(([directory, { files, additions, deletions }]) => 
+          `${directory} (${files} files) ${chalk.green(`+${additions}`)} ${chalk.red(`-${deletions}`)}`
+        ).join('\n')
+      : 'None');
+  }
+  
+  if (options.diffFormat === 'color') {
+    printColoredPatch(formatDiffAsPatch(diff));
+  }
+}
+
+// Helper function to print a unified patch with colors
+function printColoredPatch(patch) {
+  if (!patch) return;
+  
+  console.log();
+  patch.split('\n').forEach(line => {
+    if (line.startsWith('--- ') || line.startsWith('+++ ')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
+
+// Escape a path for literal use as a glob pattern
+function escapeGlob(relativePath) {
+  return relativePath.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// Check whether any file of a structure carries its content
+function hasFileContent(node) {
+  return node.content !== undefined || (node.children || []).some(hasFileContent);
+}
+
+// Collect the values of an option that can be given more than once
+function collect(value, previous) {
+  return [...previous, value];
+}
+
 // Helper function to output results
 function outputResult(result, options) {
   const output = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
@@ -0,0 +1,134 @@
+// git-status.js
+const fs = require('fs');
+const path = require('path');
+const { runGit } = require('./git-tree.js');
+
+// States in the order their markers are shown
+const GIT_STATES = ['conflicted', 'staged', 'modified', 'deleted', 'untracked', 'ignored'];
+
+// Short marker for each state
+const GIT_STATUS_MARKERS = {
+  conflicted: 'U',
+  staged: 'S',
+  modified: 'M',
+  deleted: 'D',
+  untracked: '?',
+  ignored: '!'
+};
+
+/**
+ * Add a state to a list of states, keeping GIT_STATES order
+ * @private
+ */
+const addState = (states, state) => {
+  if (!states.includes(state)) {
+    states.push(state);
+    states.sort((a, b) => GIT_STATES.indexOf(a) - GIT_STATES.indexOf(b));
+  }
+
+  return states;
+};
+
+/**
+ * Read the working tree status of a directory with a single `git status` call
+ * @param {string} directory - Directory inside a git work tree
+ * @returns {Promise<Object>} - files: Map of path (relative to the directory) to states,
+ *   ignoredDirectories: paths of ignored directories, deleted: paths of deleted files
+ */
+const readGitStatus = async (directory) => {
+  let prefix;
+
+  try {
+    prefix = (await runGit(directory, ['rev-parse', '--show-prefix'])).toString('utf8').trim();
+  } catch (error) {
+    throw new Error(`Not a git repository: ${directory}`);
+  }
+
+  // Ignored directories are reported once instead of file by file
+  const output = await runGit(directory, [
+    'status',
+    '--porcelain=v2',
+    '-z',
+    '--ignored=matching',
+    '--untracked-files=all',
+    '--',
+    '.'
+  ]);
+
+  const files = new Map();
+  const ignoredDirectories = [];
+  const deleted = [];
+  const records = output.toString('utf8').split('\0');
+
+  // Paths are relative to the repository root
+  const toRelative = (repoPath) => repoPath.slice(prefix.length);
+
+  // A path can be reported twice, e.g. as a staged deletion and as untracked
+  const setStates = (relativePath, states) => {
+    const current = files.get(relativePath) || [];
+    states.forEach((state) => addState(current, state));
+    files.set(relativePath, current);
+  };
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+
+    if (!record || record.startsWith('#')) continue;
+
+    const type = record[0];
+
+    if (type === '?' || type === '!') {
+      const relativePath = toRelative(record.slice(2));
+
+      if (type === '!' && relativePath.endsWith('/')) {
+        ignoredDirectories.push(relativePath.slice(0, -1));
+      } else {
+        setStates(relativePath, [type === '?' ? 'untracked' : 'ignored']);
+      }
+
+      continue;
+    }
+
+    // "1 XY sub mH mI mW hH hI path", "2 ... Xscore path" followed by the original path,
+    // or "u XY sub m1 m2 m3 mW h1 h2 h3 path"
+    const fieldCount = { 1: 8, 2: 9, u: 10 }[type];
+
+    if (!fieldCount) continue;
+
+    const fields = record.split(' ');
+    const xy = fields[1];
+    const relativePath = toRelative(fields.slice(fieldCount).join(' '));
+    const states = [];
+
+    if (type === '2') {
+      // The original path of a rename or copy is the next record
+      i++;
+    }
+
+    if (type === 'u') {
+      addState(states, 'conflicted');
+    } else {
+      // A staged deletion leaves the file on disk after `git rm --cached`; it is then also untracked
+      const removed = xy[1] === 'D' ||
+        (xy[0] === 'D' && xy[1] === '.' && !fs.existsSync(path.join(directory, relativePath)));
+
+      if (xy[0] !== '.') addState(states, 'staged');
+      if (removed) addState(states, 'deleted');
+      else if (xy[1] !== '.') addState(states, 'modified');
+    }
+
+    if (states.includes('deleted')) {
+      deleted.push(relativePath);
+    }
+
+    setStates(relativePath, states);
+  }
+
+  return { files, ignoredDirectories, deleted };
+};
+
+module.exports = {
+  GIT_STATES,
+  GIT_STATUS_MARKERS,
+  readGitStatus
+};
@@ -0,0 +1,174 @@
+// git-tree.js
+const { execFile, spawn } = require('child_process');
+
+/**
+ * Run a git command and resolve with its raw output
+ * @param {string} cwd - Directory to run git in
+ * @param {string[]} args - Command line arguments (passed without a shell)
+ * @returns {Promise<Buffer>} - Standard output
+ */
+const runGit = (cwd, args) => new Promise((resolve, reject) => {
+  execFile('git', args, { cwd, encoding: 'buffer', maxBuffer: 1024 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      reject(new Error(stderr.toString().trim() || error.message));
+      return;
+    }
+
+    resolve(stdout);
+  });
+});
+
+/**
+ * Make sure a ref can't be mistaken for a command line option
+ * @private
+ */
+const assertSafeRef = (ref) => {
+  if (typeof ref !== 'string' || ref === '' || ref.startsWith('-')) {
+    throw new Error(`Invalid git ref: ${ref}`);
+  }
+};
+
+/**
+ * List every file below a directory as it exists in a commit, tag or tree
+ * @param {string} directory - Directory inside a git work tree
+ * @param {string} ref - Any tree-ish git understands (branch, tag, commit, ...)
+ * @returns {Promise<Object[]>} - Entries with mode, type, object id, size and path relative to the directory
+ */
+const listGitTree = async (directory, ref) => {
+  assertSafeRef(ref);
+
+  try {
+    await runGit(directory, ['rev-parse', '--verify', '--quiet', `${ref}^{tree}`]);
+  } catch (error) {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+
+  // Run from the directory itself, so paths are limited to it and relative to it
+  const output = await runGit(directory, ['ls-tree', '-r', '-l', '-z', ref, '--', '.']);
+
+  return output
+    .toString('utf8')
+    .split('\0')
+    .filter(Boolean)
+    .map((line) => {
+      const tab = line.indexOf('\t');
+      const [mode, type, object, size] = line.slice(0, tab).split(/ +/);
+
+      return {
+        mode,
+        type,
+        object,
+        size: size === '-' ? null : Number(size),
+        path: line.slice(tab + 1)
+      };
+    });
+};
+
+/**
+ * Read blobs from the object database with a single `git cat-file --batch` process.
+ * Blobs are handed to the callback one at a time, so only one is held in memory.
+ * @param {string} directory - Directory inside a git work tree
+ * @param {string[]} objects - Object ids to read
+ * @param {Function} onBlob - Called with (objectId, Buffer) for every blob, in request order
+ * @returns {Promise<void>} - Resolves once every blob was read
+ */
+const readGitBlobs = (directory, objects, onBlob) => new Promise((resolve, reject) => {
+  if (objects.length === 0) {
+    resolve();
+    return;
+  }
+
+  const child = spawn('git', ['cat-file', '--batch'], { cwd: directory });
+  const pending = [];
+  let pendingLength = 0;
+  let current = null;
+  let stderr = '';
+  let failed = false;
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    child.kill();
+    reject(error);
+  };
+
+  // Join the buffered chunks into one buffer
+  const take = () => {
+    const buffer = pending.length === 1 ? pending[0] : Buffer.concat(pending);
+    pending.length = 0;
+    pendingLength = 0;
+    return buffer;
+  };
+
+  const keep = (buffer) => {
+    if (buffer.length > 0) {
+      pending.push(buffer);
+      pendingLength = buffer.length;
+    }
+  };
+
+  child.stdout.on('data', (chunk) => {
+    pending.push(chunk);
+    pendingLength += chunk.length;
+
+    try {
+      while (!failed) {
+        if (!current) {
+          const buffer = take();
+          const newline = buffer.indexOf(10);
+
+          if (newline === -1) {
+            keep(buffer);
+            return;
+          }
+
+          // Header: "<object> <type> <size>", or "<object> missing"
+          const [object, type, size] = buffer.slice(0, newline).toString().split(' ');
+          keep(buffer.slice(newline + 1));
+
+          if (type === 'missing') {
+            throw new Error(`Missing git object: ${object}`);
+          }
+
+          current = { object, size: Number(size) };
+        }
+
+        // The content is followed by a newline
+        if (pendingLength < current.size + 1) return;
+
+        const buffer = take();
+        onBlob(current.object, buffer.slice(0, current.size));
+        keep(buffer.slice(current.size + 1));
+        current = null;
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+
+  child.on('error', fail);
+
+  child.on('close', (code) => {
+    if (failed) return;
+
+    if (code !== 0) {
+      reject(new Error(stderr.trim() || `git cat-file exited with code ${code}`));
+      return;
+    }
+
+    resolve();
+  });
+
+  child.stdin.on('error', fail);
+  child.stdin.end(`${objects.join('\n')}\n`);
+});
+
+module.exports = {
+  runGit,
+  listGitTree,
+  readGitBlobs
+};
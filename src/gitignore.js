@@ -0,0 +1,202 @@
+// gitignore.js
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, toPosixPath } = require('./glob.js');
+
+/**
+ * Parse the contents of a .gitignore file into rules
+ * @param {string} content - File contents
+ * @returns {Object[]} - Rules in file order
+ */
+const parseGitignore = (content) => {
+  const rules = [];
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = rawLine.replace(/(^|[^\\])\s+$/, '$1');
+
+    if (line === '' || line.startsWith('#')) return;
+
+    let negated = false;
+
+    if (line.startsWith('!')) {
+      negated = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+
+    if (line.endsWith('/') && !line.endsWith('\\/')) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+
+    // A slash at the beginning or in the middle anchors the pattern to the .gitignore directory
+    const anchored = line.includes('/');
+
+    if (line.startsWith('/')) {
+      line = line.slice(1);
+    }
+
+    if (line === '') return;
+
+    rules.push({
+      pattern: rawLine.trim(),
+      negated,
+      directoryOnly,
+      anchored,
+      regex: globToRegExp(line)
+    });
+  });
+
+  return rules;
+};
+
+/**
+ * Find the root of the git repository containing a directory
+ * @private
+ */
+const findRepoRoot = (directory) => {
+  let current = directory;
+
+  while (true) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+};
+
+/**
+ * Resolve the git directory of a repository (handles worktrees where .git is a file)
+ * @private
+ */
+const resolveGitDir = (repoRoot) => {
+  const dotGit = path.join(repoRoot, '.git');
+
+  try {
+    if (fs.statSync(dotGit).isDirectory()) return dotGit;
+
+    const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+    return match ? path.resolve(repoRoot, match[1].trim()) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read and parse an ignore file, returning no rules if it doesn't exist
+ * @private
+ */
+const readRules = (filePath) => {
+  try {
+    return parseGitignore(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Create a matcher that applies every .gitignore of a repository with git's precedence:
+ * rules in deeper directories override shallower ones, later rules override earlier ones,
+ * .git/info/exclude has the lowest priority, and nothing inside an ignored directory can be re-included.
+ * @param {string} rootPath - Directory being scanned (may be inside a repository)
+ * @returns {Object} - Matcher with isIgnored(absolutePath, isDirectory) and clear() methods
+ */
+const createGitignoreMatcher = (rootPath) => {
+  const scanRoot = path.resolve(rootPath);
+  const baseDir = findRepoRoot(scanRoot) || scanRoot;
+  const gitDir = resolveGitDir(baseDir);
+
+  let rulesByDirectory = new Map();
+  let directoryResults = new Map();
+  let excludeRules = null;
+
+  const getRules = (relativeDir) => {
+    if (!rulesByDirectory.has(relativeDir)) {
+      rulesByDirectory.set(relativeDir, readRules(path.join(baseDir, relativeDir, '.gitignore')));
+    }
+    return rulesByDirectory.get(relativeDir);
+  };
+
+  const getExcludeRules = () => {
+    if (excludeRules === null) {
+      excludeRules = gitDir ? readRules(path.join(gitDir, 'info', 'exclude')) : [];
+    }
+    return excludeRules;
+  };
+
+  // Returns true/false for the last matching rule, or undefined when nothing matches
+  const matchRules = (rules, relativePath, isDirectory) => {
+    const basename = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      if (rule.regex.test(rule.anchored ? relativePath : basename)) {
+        return !rule.negated;
+      }
+    }
+
+    return undefined;
+  };
+
+  const matchPath = (relativePath, isDirectory) => {
+    const segments = relativePath.split('/');
+
+    // Walk from the deepest .gitignore up to the repository root
+    for (let depth = segments.length - 1; depth >= 0; depth--) {
+      const relativeDir = segments.slice(0, depth).join('/');
+      const pathFromDir = segments.slice(depth).join('/');
+      const result = matchRules(getRules(relativeDir), pathFromDir, isDirectory);
+
+      if (result !== undefined) return result;
+    }
+
+    return matchRules(getExcludeRules(), relativePath, isDirectory) || false;
+  };
+
+  const isDirectoryIgnored = (relativeDir) => {
+    if (!directoryResults.has(relativeDir)) {
+      directoryResults.set(relativeDir, matchPath(relativeDir, true));
+    }
+    return directoryResults.get(relativeDir);
+  };
+
+  const isIgnored = (absolutePath, isDirectory = false) => {
+    const relativePath = toPosixPath(path.relative(baseDir, path.resolve(absolutePath)));
+
+    if (relativePath === '' || relativePath === '..' || relativePath.startsWith('../')) return false;
+
+    // A path inside an ignored directory is ignored regardless of negations
+    const segments = relativePath.split('/');
+
+    for (let i = 1; i < segments.length; i++) {
+      if (isDirectoryIgnored(segments.slice(0, i).join('/'))) return true;
+    }
+
+    return isDirectory ? isDirectoryIgnored(relativePath) : matchPath(relativePath, false);
+  };
+
+  // Forget cached rules, e.g. after a .gitignore file changed
+  const clear = () => {
+    rulesByDirectory = new Map();
+    directoryResults = new Map();
+    excludeRules = null;
+  };
+
+  return {
+    isIgnored,
+    clear
+  };
+};
+
+module.exports = {
+  parseGitignore,
+  createGitignoreMatcher
+};
@@ -0,0 +1,170 @@
+// glob.js
+const path = require('path');
+
+const regexCache = new Map();
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `*`, `?`, `[...]` classes, backslash escapes and `**` path segments.
+ * Patterns are matched against forward-slash separated relative paths.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+const globToRegExp = (pattern) => {
+  if (regexCache.has(pattern)) return regexCache.get(pattern);
+
+  let source = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        const atSegmentEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+
+        if (atSegmentStart && atSegmentEnd) {
+          if (i + 2 === pattern.length) {
+            // Trailing `**` matches everything below
+            source += '.*';
+            i += 2;
+          } else {
+            // `**/` matches zero or more directories
+            source += '(?:.*/)?';
+            i += 3;
+          }
+          continue;
+        }
+
+        // `**` inside a segment behaves like `*`
+        source += '[^/]*';
+        i += 2;
+        continue;
+      }
+
+      source += '[^/]*';
+      i++;
+      continue;
+    }
+
+    if (char === '?') {
+      source += '[^/]';
+      i++;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = findClassEnd(pattern, i);
+
+      if (end !== -1) {
+        let body = pattern.slice(i + 1, end);
+        let negated = false;
+
+        if (body[0] === '!' || body[0] === '^') {
+          negated = true;
+          body = body.slice(1);
+        }
+
+        body = body.replace(/\\(.)/g, '$1').replace(/[\\^[\]]/g, '\\$&');
+        source += negated ? `[^/${body}]` : `(?!/)[${body}]`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    source += escapeRegExp(char);
+    i++;
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  regexCache.set(pattern, regex);
+  return regex;
+};
+
+/**
+ * Find the closing bracket of a character class
+ * @private
+ */
+const findClassEnd = (pattern, start) => {
+  // A `]` right after the opening bracket (or negation) is a literal
+  let i = start + 1;
+  if (pattern[i] === '!' || pattern[i] === '^') i++;
+  if (pattern[i] === ']') i++;
+
+  for (; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === ']') {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Check if a relative path matches a glob pattern
+ * @param {string} relativePath - Forward-slash separated path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - True if the path matches
+ */
+const matchesGlob = (relativePath, pattern) => globToRegExp(pattern).test(relativePath);
+
+/**
+ * Check if a relative path matches any of the given glob patterns
+ * @param {string} relativePath - Forward-slash separated path
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean} - True if at least one pattern matches
+ */
+const matchesAnyGlob = (relativePath, patterns) => patterns.some((pattern) => matchesGlob(relativePath, pattern));
+
+/**
+ * Check if a pattern could match something inside a directory.
+ * Used to prune directories that can't contain any included path.
+ * @param {string} relativeDir - Forward-slash separated directory path
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - False if no path below the directory can match
+ */
+const couldMatchInside = (relativeDir, pattern) => {
+  const dirSegments = relativeDir.split('/');
+  const patternSegments = pattern.split('/');
+
+  for (let i = 0; i < dirSegments.length; i++) {
+    const segment = patternSegments[i];
+
+    if (segment === undefined) return false;
+    if (segment === '**') return true;
+    if (!globToRegExp(segment).test(dirSegments[i])) return false;
+  }
+
+  return patternSegments.length > dirSegments.length;
+};
+
+/**
+ * Normalize a platform path to forward slashes
+ * @param {string} filePath - Platform-specific path
+ * @returns {string} - Forward-slash separated path
+ */
+const toPosixPath = (filePath) => filePath.split(path.sep).join('/');
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAnyGlob,
+  couldMatchInside,
+  toPosixPath
+};
@@ -1,6 +1,14 @@
 const fs = require("fs").promises
+const { createReadStream } = require("fs")
 const path = require("path")
 const { createHash } = require("crypto")
+const { createGitignoreMatcher } = require("./gitignore.js")
+const { matchesAnyGlob, matchesGlob, couldMatchInside, toPosixPath } = require("./glob.js")
+const { loadScanCache, clearScanCache: removeCacheFile, resolveCachePath } = require("./scan-cache.js")
+const { createLineDiff, formatUnifiedDiff, isBinaryContent } = require("./text-diff.js")
+const { listGitTree, readGitBlobs } = require("./git-tree.js")
+const { GIT_STATES, GIT_STATUS_MARKERS, readGitStatus } = require("./git-status.js")
+const chalk = require("chalk")
 
 // Default options
 const defaultOptions = {
@@ -17,8 +25,25 @@ const defaultOptions = {
   detectLanguage: false,
   analyzeComplexity: false, // Option for code complexity analysis
   complexityThreshold: "low", // Minimum complexity level to report
+  concurrency: 1, // Maximum number of file system operations in flight
+  respectGitignore: false, // Apply .gitignore files and .git/info/exclude
+  include: [], // Glob patterns files must match (relative to the scanned directory)
+  exclude: [], // Glob patterns for files and directories to skip
+  symlinks: "follow", // How to handle symbolic links: "follow", "skip" or "report"
+  cache: false, // Reuse hashes and analysis of unchanged files between runs
+  cacheFile: ".ansa-fs-cache.json", // Cache location, relative to the scanned directory
+  hashAlgorithm: "md5", // Hash algorithm for file hashes: "md5", "sha1", "sha256" or "sha512"
+  hashDirectories: false, // Compute Merkle-style directory hashes from their children
+  gitRef: null, // Read the directory as of this commit, branch or tag instead of the working tree
+  gitStatus: false, // Attach git working tree status (modified, staged, untracked, ...) to nodes
 }
 
+// Hash algorithms accepted by the hashAlgorithm option
+const hashAlgorithms = ["md5", "sha1", "sha256", "sha512"]
+
+// Format version written by saveSnapshot
+const SNAPSHOT_VERSION = 1
+
 /**
  * Extract the file structure of a directory
  * @param {string} dirPath - The directory path to scan
@@ -30,13 +55,31 @@ async function extractStructure(dirPath, options = {}) {
   const absolutePath = path.resolve(dirPath)
 
   try {
+    if (!hashAlgorithms.includes(opts.hashAlgorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${opts.hashAlgorithm}`)
+    }
+
     const stats = await fs.stat(absolutePath)
 
     if (!stats.isDirectory()) {
       throw new Error(`Path is not a directory: ${absolutePath}`)
     }
 
-    return await processDirectory(absolutePath, "", opts)
+    if (opts.gitRef) {
+      return await extractGitStructure(absolutePath, opts)
+    }
+
+    const ancestors = new Set([getInodeKey(stats)])
+    const context = createScanContext(opts, absolutePath)
+    const structure = await processDirectory(absolutePath, "", opts, 0, context, ancestors)
+
+    await saveScanCache(context)
+
+    if (opts.gitStatus) {
+      applyGitStatus(structure, await readGitStatus(absolutePath))
+    }
+
+    return structure
   } catch (error) {
     throw new Error(`Error extracting structure: ${error.message}`)
   }
@@ -46,7 +89,14 @@ async function extractStructure(dirPath, options = {}) {
  * Process a directory and its contents
  * @private
  */
-async function processDirectory(absolutePath, relativePath, options, currentDepth = 0) {
+async function processDirectory(
+  absolutePath,
+  relativePath,
+  options,
+  currentDepth = 0,
+  context = createScanContext(options, absolutePath),
+  ancestors = new Set(),
+) {
   const dirName = path.basename(absolutePath)
 
   // Skip if this directory should be ignored
@@ -60,100 +110,84 @@ async function processDirectory(absolutePath, relativePath, options, currentDept
   }
 
   try {
-    const entries = await fs.readdir(absolutePath)
-    const children = []
+    const entries = await context.limit(() => fs.readdir(absolutePath))
 
-    for (const entry of entries) {
+    // At most `concurrency` siblings are in progress at a time, so with the default of 1 the tree
+    // is walked depth-first. Only the file system calls count against the shared limit,
+    // so a directory waiting on its children never holds a slot
+    const results = await mapWithConcurrency(entries, options.concurrency, async (entry) => {
       const childAbsolutePath = path.join(absolutePath, entry)
       const childRelativePath = path.join(relativePath, entry)
 
       try {
-        const stats = await fs.stat(childAbsolutePath)
+        const entryInfo = await statEntry(childAbsolutePath, options, context)
 
-        if (stats.isDirectory()) {
-          const childDir = await processDirectory(childAbsolutePath, childRelativePath, options, currentDepth + 1)
+        if (!entryInfo) {
+          return null
+        }
 
-          if (childDir) {
-            children.push(childDir)
-          }
-        } else if (options.showFiles) {
-          // Skip if this file should be ignored
-          if (options.ignoreFiles.includes(entry)) {
-            continue
-          }
+        const { stats, isSymlink } = entryInfo
+        const isDirectory = stats.isDirectory()
 
-          const extension = path.extname(entry).slice(1).toLowerCase()
+        // Skip if a .gitignore rule or glob pattern excludes this entry
+        if (context.gitignore && context.gitignore.isIgnored(childAbsolutePath, isDirectory)) {
+          return null
+        }
 
-          if (options.ignoreExtensions.includes(extension)) {
-            continue
-          }
+        // Reported links to directories are filtered like the directory they stand in for
+        if (isFilteredByPattern(childRelativePath, isDirectory || Boolean(entryInfo.isDirectoryLink), options)) {
+          return null
+        }
 
-          const fileNode = {
-            name: entry,
-            path: childAbsolutePath,
-            relativePath: childRelativePath,
-            type: "file",
-            extension: extension || null,
-          }
+        if (isDirectory) {
+          const inodeKey = getInodeKey(stats)
 
-          // Add file size if requested
-          if (options.includeSize) {
-            fileNode.size = stats.size
-            fileNode.sizeFormatted = formatSize(stats.size)
+          // A followed link pointing back to one of its parents would recurse forever
+          if (ancestors.has(inodeKey)) {
+            return isSymlink ? await createSymlinkNode(entry, childAbsolutePath, childRelativePath, { cycle: true }) : null
           }
 
-          // Add modification time if requested
-          if (options.includeModTime) {
-            fileNode.modTime = stats.mtime
-            fileNode.modTimeFormatted = stats.mtime.toISOString()
-          }
+          const childAncestors = new Set(ancestors).add(inodeKey)
+
+          return await processDirectory(childAbsolutePath, childRelativePath, options, currentDepth + 1, context, childAncestors)
+        }
 
-          // Add file hash if requested
-          if (options.includeHash) {
-            fileNode.hash = await getFileHash(childAbsolutePath)
+        // Reported links to directories stand in for the directory, so they are kept without files
+        if (entryInfo.isDirectoryLink) {
+          if (options.ignoreDirs.includes(entry) || currentDepth + 1 > options.maxDepth) {
+            return null
           }
 
-          // Add file content if requested and file is not too large
-          if ((options.includeContent || options.analyzeComplexity) && stats.size <= options.contentMaxSize) {
-            try {
-              const content = await fs.readFile(childAbsolutePath, "utf8")
-              
-              if (options.includeContent) {
-                fileNode.content = content
-              }
+          return await context.limit(() => createSymlinkNode(entry, childAbsolutePath, childRelativePath))
+        }
 
-              // Detect language if requested or needed for complexity analysis
-              if (options.detectLanguage || options.analyzeComplexity) {
-                const language = detectLanguage(entry, extension, content)
-                fileNode.language = language
-                
-                // Analyze code complexity if requested and language is supported
-                if (options.analyzeComplexity && language) {
-                  const complexityMetrics = analyzeCodeComplexity(content, language)
-                  
-                  // Only include complexity if it meets the threshold
-                  if (complexityMetrics && shouldIncludeComplexity(complexityMetrics.complexity, options.complexityThreshold)) {
-                    fileNode.complexity = complexityMetrics
-                  }
-                }
-              }
-            } catch (error) {
-              // Skip content if file can't be read as text
-              fileNode.contentError = `Could not read file content: ${error.message}`
-            }
-          }
+        // Skip if this file should be ignored
+        if (!options.showFiles || isIgnoredFile(entry, options) || isCacheFile(childAbsolutePath, context)) {
+          return null
+        }
 
-          children.push(fileNode)
+        if (isSymlink && options.symlinks === "report") {
+          return await context.limit(() => createSymlinkNode(entry, childAbsolutePath, childRelativePath))
         }
+
+        return await context.limit(() => createFileNode(entry, childAbsolutePath, childRelativePath, stats, options, context))
       } catch (error) {
         // Skip entries that can't be accessed
         console.error(`Error processing ${childAbsolutePath}: ${error.message}`)
+        return null
       }
+    })
+
+    const children = results.filter(Boolean)
+
+    // With include patterns, directories without any matching file are left out
+    if (options.include.length > 0 && children.length === 0 && currentDepth > 0) {
+      return null
     }
 
-    // Sort children: directories first, then files, both alphabetically
+    // Sort children: directories first, then files and links, both alphabetically
     children.sort((a, b) => {
-      if (a.type !== b.type) {
+      if ((a.type === "directory") !== (b.type === "directory")) {
         return a.type === "directory" ? -1 : 1
       }
       return a.name.localeCompare(b.name)
@@ -174,6 +208,11 @@ async function processDirectory(absolutePath, relativePath, options, currentDept
       result.sizeFormatted = formatSize(size)
     }
 
+    // Add directory hash if requested
+    if (options.hashDirectories) {
+      addDirectoryHash(result, options.hashAlgorithm)
+    }
+
     return result
   } catch (error) {
     throw new Error(`Error processing directory ${absolutePath}: ${error.message}`)
@@ -181,404 +220,1908 @@ async function processDirectory(absolutePath, relativePath, options, currentDept
 }
 
 /**
- * Format a file structure as a tree string
- * @param {Object} structure - The structure object
- * @param {Object} options - Formatting options
- * @returns {string} - The formatted tree
+ * Walk a directory and yield nodes as they are discovered
+ * @param {string} dirPath - The directory path to walk
+ * @param {Object} options - Configuration options (same as extractStructure)
+ * @returns {AsyncGenerator<Object>} - File and directory nodes, without children
  */
-function formatAsTree(structure, options = {}) {
-  const opts = {
-    showSize: false,
-    showModTime: false,
-    showComplexity: false, // Option to show complexity
-    ...options,
+async function* walkStructure(dirPath, options = {}) {
+  const opts = { ...defaultOptions, ...options }
+  const absolutePath = path.resolve(dirPath)
+
+  let stats
+
+  try {
+    stats = await fs.stat(absolutePath)
+  } catch (error) {
+    throw new Error(`Error walking structure: ${error.message}`)
   }
 
-  let result = ""
+  if (!stats.isDirectory()) {
+    throw new Error(`Error walking structure: Path is not a directory: ${absolutePath}`)
+  }
 
-  function traverse(node, prefix = "", isLast = true) {
-    const connector = isLast ? "└── " : "├── "
-    const childPrefix = isLast ? "    " : "│   "
+  const context = createScanContext(opts, absolutePath)
 
-    let line = `${prefix}${connector}${node.name}`
+  yield* walkDirectory(absolutePath, "", opts, 0, context, new Set([getInodeKey(stats)]))
 
-    if (node.type === "directory") {
-      line += "/"
-    } else if (node.extension) {
-      // Don't add extension if it's already in the name
-      if (!node.name.endsWith(`.${node.extension}`)) {
-        line += `.${node.extension}`
+  await saveScanCache(context)
+}
+
+/**
+ * Walk a directory depth-first, yielding each node before its contents
+ * @private
+ */
+async function* walkDirectory(absolutePath, relativePath, options, currentDepth, context, ancestors) {
+  const dirName = path.basename(absolutePath)
+
+  // Skip if this directory should be ignored
+  if (options.ignoreDirs.includes(dirName) && currentDepth > 0) {
+    return
+  }
+
+  // Skip if we've reached max depth
+  if (currentDepth > options.maxDepth) {
+    return
+  }
+
+  let entries
+
+  try {
+    entries = await fs.readdir(absolutePath)
+  } catch (error) {
+    throw new Error(`Error processing directory ${absolutePath}: ${error.message}`)
+  }
+
+  yield {
+    name: dirName,
+    path: absolutePath,
+    relativePath: relativePath || dirName,
+    type: "directory",
+    depth: currentDepth,
+  }
+
+  // Stat every entry first so the walk follows the same order as extractStructure
+  const children = []
+
+  for (const entry of entries) {
+    const childAbsolutePath = path.join(absolutePath, entry)
+
+    try {
+      const entryInfo = await statEntry(childAbsolutePath, options, context)
+
+      if (entryInfo) {
+        children.push({ entry, childAbsolutePath, ...entryInfo })
       }
+    } catch (error) {
+      // Skip entries that can't be accessed
+      console.error(`Error processing ${childAbsolutePath}: ${error.message}`)
     }
+  }
 
-    // Add size if requested and available
-    if (opts.showSize && node.sizeFormatted) {
-      line += ` (${node.sizeFormatted})`
+  // Links closing a cycle are reported as leaves, so they sort with the files
+  const isWalkedDirectory = (child) => child.stats.isDirectory() && !ancestors.has(getInodeKey(child.stats))
+
+  children.sort((a, b) => {
+    if (isWalkedDirectory(a) !== isWalkedDirectory(b)) {
+      return isWalkedDirectory(a) ? -1 : 1
     }
+    return a.entry.localeCompare(b.entry)
+  })
 
-    // Add mod time if requested and available
-    if (opts.showModTime && node.modTimeFormatted) {
-      line += ` [${node.modTimeFormatted.split("T")[0]}]`
+  for (const { entry, childAbsolutePath, stats, isSymlink, isDirectoryLink } of children) {
+    const childRelativePath = path.join(relativePath, entry)
+    const isDirectory = stats.isDirectory()
+
+    if (context.gitignore && context.gitignore.isIgnored(childAbsolutePath, isDirectory)) {
+      continue
     }
-    
-    // Add complexity if requested and available
-    if (opts.showComplexity && node.complexity) {
-      line += ` - Complexity: ${node.complexity.complexity}`
-      
-      if (node.language) {
-        line += ` (${node.language})`
-      }
+
+    if (isFilteredByPattern(childRelativePath, isDirectory, options)) {
+      continue
     }
 
-    result += line + "\n"
+    if (isDirectory) {
+      const inodeKey = getInodeKey(stats)
 
-    if (node.type === "directory" && node.children) {
-      node.children.forEach((child, index, array) => {
-        traverse(child, prefix + childPrefix, index === array.length - 1)
-      })
+      if (!ancestors.has(inodeKey)) {
+        yield* walkDirectory(childAbsolutePath, childRelativePath, options, currentDepth + 1, context, new Set(ancestors).add(inodeKey))
+      } else if (isSymlink) {
+        const linkNode = await createSymlinkNode(entry, childAbsolutePath, childRelativePath, { cycle: true })
+        linkNode.depth = currentDepth + 1
+
+        yield linkNode
+      }
+    } else if (isDirectoryLink) {
+      const linkNode = await createSymlinkNode(entry, childAbsolutePath, childRelativePath)
+      linkNode.depth = currentDepth + 1
+
+      yield linkNode
+    } else if (options.showFiles && !isIgnoredFile(entry, options) && !isCacheFile(childAbsolutePath, context)) {
+      const fileNode =
+        isSymlink && options.symlinks === "report"
+          ? await createSymlinkNode(entry, childAbsolutePath, childRelativePath)
+          : await createFileNode(entry, childAbsolutePath, childRelativePath, stats, options, context)
+      fileNode.depth = currentDepth + 1
+
+      yield fileNode
     }
   }
+}
 
-  traverse(structure)
-  return result
+/**
+ * Stat an entry according to the symlinks option.
+ * Returns null for links that should be skipped; reported links keep their own (lstat) stats
+ * and note whether they point to a directory.
+ * @private
+ */
+async function statEntry(absolutePath, options, context) {
+  const linkStats = await context.limit(() => fs.lstat(absolutePath))
+
+  if (!linkStats.isSymbolicLink()) {
+    return { stats: linkStats, isSymlink: false }
+  }
+
+  if (options.symlinks === "skip") {
+    return null
+  }
+
+  if (options.symlinks === "report") {
+    const targetStats = await context.limit(() => fs.stat(absolutePath)).catch(() => null)
+    return { stats: linkStats, isSymlink: true, isDirectoryLink: Boolean(targetStats && targetStats.isDirectory()) }
+  }
+
+  const stats = await context.limit(() => fs.stat(absolutePath))
+  return { stats, isSymlink: true }
 }
 
 /**
- * Convert a structure to an array of paths
- * @param {Object} structure - The structure object
- * @param {Object} options - Options for path generation
- * @returns {string[]} - Array of paths
+ * Build a node describing a symbolic link
+ * @private
  */
-function toPaths(structure, options = {}) {
-  const opts = {
-    includeFiles: true,
-    includeDirs: true,
-    relative: true,
-    includeComplexity: false, // Option to include complexity info
-    ...options,
+async function createSymlinkNode(entry, absolutePath, relativePath, extra = {}) {
+  const linkNode = {
+    name: entry,
+    path: absolutePath,
+    relativePath,
+    type: "symlink",
+    target: await fs.readlink(absolutePath),
+    ...extra,
   }
 
-  const paths = []
+  try {
+    const targetStats = await fs.stat(absolutePath)
+    linkNode.targetType = targetStats.isDirectory() ? "directory" : "file"
+  } catch (error) {
+    linkNode.broken = true
+  }
 
-  function traverse(node) {
-    const nodePath = opts.relative ? node.relativePath : node.path
+  return linkNode
+}
 
-    if (node.type === "directory") {
-      if (opts.includeDirs) {
-        paths.push(nodePath)
-      }
+/**
+ * Write the scan cache of a finished scan. A cache that can't be written
+ * (e.g. in a read-only directory) only costs the next scan its speed-up
+ * @private
+ */
+async function saveScanCache(context) {
+  if (!context.cache) {
+    return
+  }
 
-      if (node.children) {
-        node.children.forEach(traverse)
-      }
-    } else if (node.type === "file" && opts.includeFiles) {
-      let pathInfo = nodePath
-      
-      // Add complexity if requested and available
-      if (opts.includeComplexity && node.complexity) {
-        pathInfo += ` (Complexity: ${node.complexity.complexity})`
-      }
-      
-      paths.push(pathInfo)
-    }
+  try {
+    await context.cache.save()
+  } catch (error) {
+    console.warn(`Could not write scan cache ${context.cache.path}: ${error.message}`)
   }
+}
 
-  traverse(structure)
-  return paths
+/**
+ * Identify a file system object by device and inode
+ * @private
+ */
+function getInodeKey(stats) {
+  return `${stats.dev}:${stats.ino}`
 }
 
 /**
- * Filter a structure based on a predicate function
- * @param {Object} structure - The structure object
- * @param {Function} predicate - Function that returns true for items to keep
- * @returns {Object} - The filtered structure
+ * Check if a path is the scan cache file itself
+ * @private
  */
-function filter(structure, predicate) {
-  if (!predicate(structure)) {
-    return null
+function isCacheFile(absolutePath, context) {
+  return Boolean(context.cache) && absolutePath === context.cache.path
+}
+
+/**
+ * Check if a file should be skipped based on its name or extension
+ * @private
+ */
+function isIgnoredFile(entry, options) {
+  if (options.ignoreFiles.includes(entry)) {
+    return true
   }
 
-  if (structure.type === "directory" && structure.children) {
-    const filteredChildren = structure.children.map((child) => filter(child, predicate)).filter(Boolean)
+  const extension = path.extname(entry).slice(1).toLowerCase()
 
-    return {
-      ...structure,
-      children: filteredChildren,
+  return options.ignoreExtensions.includes(extension)
+}
+
+/**
+ * Check if an entry is filtered out by the include/exclude glob patterns.
+ * Directories are pruned as soon as no include pattern can match below them.
+ * @private
+ */
+function isFilteredByPattern(relativePath, isDirectory, options) {
+  const posixPath = toPosixPath(relativePath)
+
+  if (isDirectory) {
+    const excluded = options.exclude.some(
+      (pattern) => matchesGlob(posixPath, pattern) || (pattern.endsWith("/**") && matchesGlob(posixPath, pattern.slice(0, -3))),
+    )
+
+    if (excluded) {
+      return true
     }
+
+    return options.include.length > 0 && !options.include.some((pattern) => couldMatchInside(posixPath, pattern))
   }
 
-  return structure
+  if (matchesAnyGlob(posixPath, options.exclude)) {
+    return true
+  }
+
+  return options.include.length > 0 && !matchesAnyGlob(posixPath, options.include)
 }
 
 /**
- * Get statistics about a structure
- * @param {Object} structure - The structure object
- * @returns {Object} - Statistics object
+ * Build a file node with the metadata requested in options.
+ * When a scan cache is active, hashes and analysis results of unchanged files are reused.
+ * @private
  */
-function getStats(structure) {
-  const stats = {
-    directories: 0,
-    files: 0,
-    extensions: {},
-    totalSize: 0,
-    largestFiles: [],
-    oldestFiles: [],
-    newestFiles: [],
-    // Complexity stats
-    complexityStats: {
-      low: 0,
-      medium: 0,
-      high: 0,
-      veryHigh: 0
-    },
-    mostComplexFiles: [],
-    languageStats: {}, // Track files by language
-    complexityByLanguage: {} // Track complexity by language
+async function createFileNode(entry, absolutePath, relativePath, stats, options, context = {}) {
+  const extension = path.extname(entry).slice(1).toLowerCase()
+  const cached = context.cache ? context.cache.get(relativePath, stats) : null
+  const cacheEntry = {}
+
+  const fileNode = {
+    name: entry,
+    path: absolutePath,
+    relativePath,
+    type: "file",
+    extension: extension || null,
   }
 
-  function traverse(node) {
-    if (node.type === "directory") {
-      stats.directories++
+  // Add file size if requested
+  if (options.includeSize) {
+    fileNode.size = stats.size
+    fileNode.sizeFormatted = formatSize(stats.size)
+  }
 
-      if (node.children) {
-        node.children.forEach(traverse)
+  // Add modification time if requested
+  if (options.includeModTime) {
+    fileNode.modTime = stats.mtime
+    fileNode.modTimeFormatted = stats.mtime.toISOString()
+  }
+
+  // Add file hash if requested (directory hashes are built from file hashes)
+  if (options.includeHash || options.hashDirectories) {
+    const canReuseHash = cached && cached.hash && cached.hashAlgorithm === options.hashAlgorithm
+
+    try {
+      fileNode.hash = canReuseHash ? cached.hash : await getFileHash(absolutePath, options.hashAlgorithm)
+      fileNode.hashAlgorithm = options.hashAlgorithm
+      cacheEntry.hash = fileNode.hash
+      cacheEntry.hashAlgorithm = options.hashAlgorithm
+    } catch (error) {
+      // An unreadable file has no hash, and neither do the directories above it
+      fileNode.hash = null
+      fileNode.hashError = error.message
+    }
+  }
+
+  // Add file content if requested and file is not too large
+  if ((options.includeContent || options.analyzeComplexity) && stats.size <= options.contentMaxSize) {
+    const wantsLanguage = options.detectLanguage || options.analyzeComplexity
+
+    // The file only needs to be read if its content is requested or nothing usable is cached
+    const canReuseCache =
+      cached &&
+      !options.includeContent &&
+      (!wantsLanguage || "language" in cached) &&
+      (!options.analyzeComplexity || "complexity" in cached)
+
+    try {
+      const analysis = canReuseCache
+        ? { language: cached.language, complexity: cached.complexity }
+        : analyzeFileContent(fileNode, await fs.readFile(absolutePath, "utf8"), options)
+
+      applyFileAnalysis(fileNode, analysis, options)
+
+      if (wantsLanguage) {
+        cacheEntry.language = analysis.language
       }
-    } else if (node.type === "file") {
-      stats.files++
 
-      if (node.extension) {
-        stats.extensions[node.extension] = (stats.extensions[node.extension] || 0) + 1
+      if (options.analyzeComplexity) {
+        cacheEntry.complexity = analysis.complexity
       }
+    } catch (error) {
+      // Skip content if file can't be read as text
+      fileNode.contentError = `Could not read file content: ${error.message}`
+    }
+  }
 
-      if (node.size) {
-        stats.totalSize += node.size
+  // Fields cached by earlier runs with other options stay valid while the file is unchanged
+  if (context.cache) {
+    context.cache.set(relativePath, stats, { ...cached, ...cacheEntry })
+  }
 
-        // Track largest files
+  return fileNode
+}
+
+/**
+ * Attach the content of a file to its node (if requested) and analyze it
+ * @private
+ */
+function analyzeFileContent(fileNode, content, options) {
+  let language = null
+  let complexity = null
+
+  if (options.includeContent) {
+    fileNode.content = content
+  }
+
+  // Detect language if requested or needed for complexity analysis
+  if (options.detectLanguage || options.analyzeComplexity) {
+    language = detectLanguage(fileNode.name, fileNode.extension || "", content)
+
+    // Analyze code complexity if requested and language is supported
+    if (options.analyzeComplexity && language) {
+      complexity = analyzeCodeComplexity(content, language)
+    }
+  }
+
+  return { language, complexity }
+}
+
+/**
+ * Add the results of analyzeFileContent to a file node
+ * @private
+ */
+function applyFileAnalysis(fileNode, analysis, options) {
+  if (options.detectLanguage || options.analyzeComplexity) {
+    fileNode.language = analysis.language
+  }
+
+  // Only include complexity if it meets the threshold
+  if (
+    options.analyzeComplexity &&
+    analysis.complexity &&
+    shouldIncludeComplexity(analysis.complexity.complexity, options.complexityThreshold)
+  ) {
+    fileNode.complexity = analysis.complexity
+  }
+}
+
+/**
+ * Attach git status to the nodes of a structure. Files get the list of their states;
+ * directories get the states found below them and a count of files per state.
+ * Deleted files that no longer exist are counted on the closest directory that does.
+ * @private
+ */
+function applyGitStatus(structure, status) {
+  const toRelative = (node) => path.relative(structure.path, node.path).split(path.sep).join("/")
+  const directories = new Set()
+  const files = new Set()
+
+  function collectPaths(node) {
+    if (node.type === "directory") {
+      directories.add(toRelative(node))
+
+      if (node.children) {
+        node.children.forEach(collectPaths)
+      }
+    } else {
+      files.add(toRelative(node))
+    }
+  }
+
+  collectPaths(structure)
+
+  const deletedByDirectory = new Map()
+
+  status.deleted
+    .filter((file) => !files.has(file))
+    .forEach((file) => {
+      let dir = path.posix.dirname(file)
+
+      while (dir !== "." && !directories.has(dir)) {
+        dir = path.posix.dirname(dir)
+      }
+
+      const key = dir === "." ? "" : dir
+      deletedByDirectory.set(key, [...(deletedByDirectory.get(key) || []), ...status.files.get(file)])
+    })
+
+  const isInIgnoredDirectory = (relativePath) =>
+    status.ignoredDirectories.some((dir) => relativePath === dir || relativePath.startsWith(`${dir}/`))
+
+  function traverse(node) {
+    const relativePath = toRelative(node)
+
+    if (node.type !== "directory") {
+      const states = status.files.get(relativePath) || (isInIgnoredDirectory(relativePath) ? ["ignored"] : [])
+
+      if (states.length > 0) {
+        node.gitStatus = [...states]
+      }
+
+      return
+    }
+
+    const counts = {}
+    const count = (state, amount = 1) => {
+      counts[state] = (counts[state] || 0) + amount
+    }
+
+    if (node.children) {
+      node.children.forEach((child) => {
+        traverse(child)
+
+        if (child.gitStatusCounts) {
+          Object.entries(child.gitStatusCounts).forEach(([state, amount]) => count(state, amount))
+        } else if (child.gitStatus) {
+          child.gitStatus.forEach((state) => count(state))
+        }
+      })
+    }
+
+    if (deletedByDirectory.has(relativePath)) {
+      deletedByDirectory.get(relativePath).forEach((state) => count(state))
+    }
+
+    // An ignored directory is marked even when it is empty
+    const isIgnored = relativePath !== "" && isInIgnoredDirectory(relativePath)
+
+    if (Object.keys(counts).length > 0 || isIgnored) {
+      node.gitStatus = GIT_STATES.filter((state) => state in counts || (state === "ignored" && isIgnored))
+      node.gitStatusCounts = counts
+    }
+  }
+
+  traverse(structure)
+}
+
+/**
+ * Format the git status of a node as short markers, e.g. "SM" for a file
+ * or "2M 1?" for a directory
+ * @private
+ */
+function formatGitStatus(node) {
+  if (node.gitStatusCounts) {
+    return node.gitStatus
+      .map((state) => `${node.gitStatusCounts[state] || ""}${GIT_STATUS_MARKERS[state]}`)
+      .join(" ")
+  }
+
+  return node.gitStatus.map((state) => GIT_STATUS_MARKERS[state]).join("")
+}
+
+/**
+ * Build a structure from the git object database instead of the working tree.
+ * Sizes come from the tree listing; blobs are only read when hashes or content are needed.
+ * Modification times are not available, and symbolic links are always reported, not followed.
+ * @private
+ */
+async function extractGitStructure(absolutePath, options) {
+  const dirName = path.basename(absolutePath)
+  const entries = await listGitTree(absolutePath, options.gitRef)
+  const root = { name: dirName, path: absolutePath, relativePath: dirName, type: "directory", children: [] }
+  const directories = new Map([["", root]])
+  const waiting = new Map() // Blob id -> nodes that need its content
+  const linkNodes = []
+  const treePaths = new Set(entries.map((entry) => entry.path))
+
+  const wait = (object, handler) => {
+    if (!waiting.has(object)) {
+      waiting.set(object, [])
+    }
+    waiting.get(object).push(handler)
+  }
+
+  // Find or create the node of a directory, or null if the directory is filtered out
+  const getDirectory = (segments) => {
+    const key = segments.join("/")
+
+    if (!directories.has(key)) {
+      const parent = getDirectory(segments.slice(0, -1))
+      const name = segments[segments.length - 1]
+      const relativePath = path.join(...segments)
+      let node = null
+
+      if (
+        parent &&
+        segments.length <= options.maxDepth &&
+        !options.ignoreDirs.includes(name) &&
+        !isFilteredByPattern(relativePath, true, options)
+      ) {
+        node = { name, path: path.join(absolutePath, relativePath), relativePath, type: "directory", children: [] }
+        parent.children.push(node)
+      }
+
+      directories.set(key, node)
+    }
+
+    return directories.get(key)
+  }
+
+  entries.forEach((entry) => {
+    const segments = entry.path.split("/")
+    const name = segments[segments.length - 1]
+    const relativePath = path.join(...segments)
+
+    // Submodules are shown as empty directories
+    if (entry.type === "commit") {
+      const node = getDirectory(segments)
+
+      if (node) {
+        node.submodule = entry.object
+      }
+      return
+    }
+
+    const parent = getDirectory(segments.slice(0, -1))
+
+    if (!parent || isFilteredByPattern(relativePath, false, options)) return
+    if (!options.showFiles || isIgnoredFile(name, options)) return
+
+    if (entry.mode === "120000") {
+      if (options.symlinks === "skip") return
+
+      const linkNode = { name, path: path.join(absolutePath, relativePath), relativePath, type: "symlink" }
+      parent.children.push(linkNode)
+      linkNodes.push({ linkNode, directory: segments.slice(0, -1).join("/") })
+
+      wait(entry.object, (content) => {
+        linkNode.target = content.toString("utf8")
+      })
+      return
+    }
+
+    const extension = path.extname(name).slice(1).toLowerCase()
+    const fileNode = {
+      name,
+      path: path.join(absolutePath, relativePath),
+      relativePath,
+      type: "file",
+      extension: extension || null,
+    }
+
+    if (options.includeSize) {
+      fileNode.size = entry.size
+      fileNode.sizeFormatted = formatSize(entry.size)
+    }
+
+    parent.children.push(fileNode)
+
+    const wantsHash = options.includeHash || options.hashDirectories
+    const wantsContent = (options.includeContent || options.analyzeComplexity) && entry.size <= options.contentMaxSize
+
+    if (wantsHash || wantsContent) {
+      wait(entry.object, (content) => {
+        if (wantsHash) {
+          fileNode.hash = createHash(options.hashAlgorithm).update(content).digest("hex")
+          fileNode.hashAlgorithm = options.hashAlgorithm
+        }
+
+        if (wantsContent) {
+          applyFileAnalysis(fileNode, analyzeFileContent(fileNode, content.toString("utf8"), options), options)
+        }
+      })
+    }
+  })
+
+  await readGitBlobs(absolutePath, Array.from(waiting.keys()), (object, content) => {
+    waiting.get(object).forEach((handler) => handler(content))
+  })
+
+  // Links can only be resolved against the listed tree
+  linkNodes.forEach(({ linkNode, directory }) => {
+    const targetPath = path.posix.normalize(path.posix.join(directory, linkNode.target))
+
+    if (treePaths.has(targetPath)) {
+      linkNode.targetType = "file"
+    } else if (entries.some((entry) => entry.path.startsWith(`${targetPath}/`))) {
+      linkNode.targetType = "directory"
+    } else {
+      linkNode.broken = true
+    }
+  })
+
+  // Sort and total directories bottom-up, like processDirectory
+  function finishDirectory(node, depth) {
+    node.children = node.children
+      .map((child) => (child.type === "directory" ? finishDirectory(child, depth + 1) : child))
+      .filter(Boolean)
+
+    if (options.include.length > 0 && node.children.length === 0 && depth > 0 && !node.submodule) {
+      return null
+    }
+
+    node.children.sort((a, b) => {
+      if ((a.type === "directory") !== (b.type === "directory")) {
+        return a.type === "directory" ? -1 : 1
+      }
+      return a.name.localeCompare(b.name)
+    })
+
+    if (options.includeSize) {
+      const size = node.children.reduce((sum, child) => sum + (child.size || 0), 0)
+      node.size = size
+      node.sizeFormatted = formatSize(size)
+    }
+
+    if (options.hashDirectories) {
+      addDirectoryHash(node, options.hashAlgorithm)
+    }
+
+    return node
+  }
+
+  return finishDirectory(root, 0)
+}
+
+/**
+ * Format a file structure as a tree string
+ * @param {Object} structure - The structure object
+ * @param {Object} options - Formatting options
+ * @returns {string} - The formatted tree
+ */
+function formatAsTree(structure, options = {}) {
+  const opts = {
+    showSize: false,
+    showModTime: false,
+    showComplexity: false, // Option to show complexity
+    showGitStatus: true, // Show git status markers (structures extracted with gitStatus)
+    ...options,
+  }
+
+  let result = ""
+
+  function traverse(node, prefix = "", isLast = true) {
+    const connector = isLast ? "└── " : "├── "
+    const childPrefix = isLast ? "    " : "│   "
+
+    let line = `${prefix}${connector}${node.name}`
+
+    if (node.type === "directory") {
+      line += "/"
+    } else if (node.type === "symlink") {
+      line += ` -> ${node.target}`
+
+      if (node.cycle) {
+        line += " (cycle)"
+      } else if (node.broken) {
+        line += " (broken)"
+      }
+    } else if (node.extension) {
+      // Don't add extension if it's already in the name
+      if (!node.name.endsWith(`.${node.extension}`)) {
+        line += `.${node.extension}`
+      }
+    }
+
+    // Add size if requested and available
+    if (opts.showSize && node.sizeFormatted) {
+      line += ` (${node.sizeFormatted})`
+    }
+
+    // Add mod time if requested and available
+    if (opts.showModTime && node.modTimeFormatted) {
+      line += ` [${node.modTimeFormatted.split("T")[0]}]`
+    }
+    
+    // Add complexity if requested and available
+    if (opts.showComplexity && node.complexity) {
+      line += ` - Complexity: ${node.complexity.complexity}`
+      
+      if (node.language) {
+        line += ` (${node.language})`
+      }
+    }
+
+    if (opts.showGitStatus && node.gitStatus) {
+      line += ` [${formatGitStatus(node)}]`
+    }
+
+    result += line + "\n"
+
+    if (node.type === "directory" && node.children) {
+      node.children.forEach((child, index, array) => {
+        traverse(child, prefix + childPrefix, index === array.length - 1)
+      })
+    }
+  }
+
+  traverse(structure)
+  return result
+}
+
+/**
+ * Keep only the files git reports as changed (anything but clean or ignored)
+ * and the directories containing them
+ * @param {Object} structure - Structure extracted with the gitStatus option
+ * @returns {Object} - Pruned copy of the structure
+ */
+function filterChangedFiles(structure) {
+  const isChanged = (node) => Boolean(node.gitStatus && node.gitStatus.some((state) => state !== "ignored"))
+
+  function prune(node) {
+    if (!isChanged(node)) {
+      return null
+    }
+
+    if (node.type !== "directory") {
+      return node
+    }
+
+    return {
+      ...node,
+      children: (node.children || []).map(prune).filter(Boolean),
+    }
+  }
+
+  return prune(structure) || { ...structure, children: [] }
+}
+
+/**
+ * Convert a structure to an array of paths
+ * @param {Object} structure - The structure object
+ * @param {Object} options - Options for path generation
+ * @returns {string[]} - Array of paths
+ */
+function toPaths(structure, options = {}) {
+  const opts = {
+    includeFiles: true,
+    includeDirs: true,
+    includeSymlinks: true,
+    relative: true,
+    includeComplexity: false, // Option to include complexity info
+    ...options,
+  }
+
+  const paths = []
+
+  function traverse(node) {
+    const nodePath = opts.relative ? node.relativePath : node.path
+
+    if (node.type === "directory") {
+      if (opts.includeDirs) {
+        paths.push(nodePath)
+      }
+
+      if (node.children) {
+        node.children.forEach(traverse)
+      }
+    } else if (node.type === "file" && opts.includeFiles) {
+      let pathInfo = nodePath
+      
+      // Add complexity if requested and available
+      if (opts.includeComplexity && node.complexity) {
+        pathInfo += ` (Complexity: ${node.complexity.complexity})`
+      }
+      
+      paths.push(pathInfo)
+    } else if (node.type === "symlink" && opts.includeSymlinks) {
+      paths.push(nodePath)
+    }
+  }
+
+  traverse(structure)
+  return paths
+}
+
+/**
+ * Filter a structure based on a predicate function
+ * @param {Object} structure - The structure object
+ * @param {Function} predicate - Function that returns true for items to keep
+ * @returns {Object} - The filtered structure
+ */
+function filter(structure, predicate) {
+  if (!predicate(structure)) {
+    return null
+  }
+
+  if (structure.type === "directory" && structure.children) {
+    const filteredChildren = structure.children.map((child) => filter(child, predicate)).filter(Boolean)
+
+    return {
+      ...structure,
+      children: filteredChildren,
+    }
+  }
+
+  return structure
+}
+
+/**
+ * Get statistics about a structure
+ * @param {Object} structure - The structure object
+ * @returns {Object} - Statistics object
+ */
+function getStats(structure) {
+  const stats = {
+    directories: 0,
+    files: 0,
+    symlinks: 0,
+    extensions: {},
+    totalSize: 0,
+    largestFiles: [],
+    oldestFiles: [],
+    newestFiles: [],
+    // Complexity stats
+    complexityStats: {
+      low: 0,
+      medium: 0,
+      high: 0,
+      veryHigh: 0
+    },
+    mostComplexFiles: [],
+    languageStats: {}, // Track files by language
+    complexityByLanguage: {} // Track complexity by language
+  }
+
+  function traverse(node) {
+    if (node.type === "directory") {
+      stats.directories++
+
+      if (node.children) {
+        node.children.forEach(traverse)
+      }
+    } else if (node.type === "symlink") {
+      stats.symlinks++
+    } else if (node.type === "file") {
+      stats.files++
+
+      if (node.extension) {
+        stats.extensions[node.extension] = (stats.extensions[node.extension] || 0) + 1
+      }
+
+      if (node.size) {
+        stats.totalSize += node.size
+
+        // Track largest files
         stats.largestFiles.push({
           path: node.relativePath,
           size: node.size,
-          sizeFormatted: node.sizeFormatted,
+          sizeFormatted: node.sizeFormatted,
+        })
+
+        // Keep only top 10 largest files
+        stats.largestFiles.sort((a, b) => b.size - a.size)
+        if (stats.largestFiles.length > 10) {
+          stats.largestFiles.pop()
+        }
+      }
+
+      if (node.modTime) {
+        const fileInfo = {
+          path: node.relativePath,
+          modTime: node.modTime,
+          modTimeFormatted: node.modTimeFormatted,
+        }
+
+        // Track oldest files
+        stats.oldestFiles.push({ ...fileInfo })
+        stats.oldestFiles.sort((a, b) => a.modTime - b.modTime)
+        if (stats.oldestFiles.length > 10) {
+          stats.oldestFiles.pop()
+        }
+
+        // Track newest files
+        stats.newestFiles.push({ ...fileInfo })
+        stats.newestFiles.sort((a, b) => b.modTime - a.modTime)
+        if (stats.newestFiles.length > 10) {
+          stats.newestFiles.pop()
+        }
+      }
+      
+      // Track language stats
+      if (node.language) {
+        stats.languageStats[node.language] = (stats.languageStats[node.language] || 0) + 1
+      }
+      
+      // Track complexity stats
+      if (node.complexity) {
+        const complexity = node.complexity.complexity
+        
+        if (complexity === 'very high') {
+          stats.complexityStats.veryHigh++
+        } else if (complexity === 'high') {
+          stats.complexityStats.high++
+        } else if (complexity === 'medium') {
+          stats.complexityStats.medium++
+        } else {
+          stats.complexityStats.low++
+        }
+        
+        // Track complexity by language
+        if (node.language) {
+          if (!stats.complexityByLanguage[node.language]) {
+            stats.complexityByLanguage[node.language] = {
+              low: 0,
+              medium: 0,
+              high: 0,
+              veryHigh: 0
+            }
+          }
+          
+          stats.complexityByLanguage[node.language][complexity.replace(' ', '')] = 
+            (stats.complexityByLanguage[node.language][complexity.replace(' ', '')] || 0) + 1
+        }
+        
+        // Track most complex files
+        stats.mostComplexFiles.push({
+          path: node.relativePath,
+          language: node.language,
+          complexity: node.complexity,
+          size: node.size,
+          sizeFormatted: node.sizeFormatted
+        })
+        
+        // Keep only top 10 most complex files
+        stats.mostComplexFiles.sort((a, b) => {
+          const complexityOrder = { 'very high': 4, 'high': 3, 'medium': 2, 'low': 1 }
+          return complexityOrder[b.complexity.complexity] - complexityOrder[a.complexity.complexity]
+        })
+        
+        if (stats.mostComplexFiles.length > 10) {
+          stats.mostComplexFiles.pop()
+        }
+      }
+    }
+  }
+
+  traverse(structure)
+
+  if (stats.totalSize > 0) {
+    stats.totalSizeFormatted = formatSize(stats.totalSize)
+  }
+
+  return stats
+}
+
+/**
+ * Compare two directory structures and find differences.
+ * Only the contents of the two roots are compared: the root directories themselves
+ * are never reported, so directories with different names can be diffed.
+ * @param {Object} structureA - First structure
+ * @param {Object} structureB - Second structure
+ * @param {Object} options - Comparison options
+ * @returns {Object} - Differences object
+ */
+function diffStructures(structureA, structureB, options = {}) {
+  const opts = {
+    compareContent: false,
+    compareSize: true,
+    compareModTime: false,
+    compareComplexity: false, // Option to compare complexity
+    detectRenames: false, // Pair removed and added files with identical hashes
+    renameSimilarity: null, // Also pair files whose content similarity (0-1) reaches this threshold
+    contentDiff: false, // Compute line diffs for modified text files (requires includeContent)
+    contextLines: 3, // Unchanged lines around each change in a content diff
+    ...options,
+  }
+
+  const result = {
+    added: [],
+    removed: [],
+    modified: [],
+    renamed: [],
+    unchanged: [],
+  }
+
+  // Convert structures to path maps for easier comparison
+  const mapA = structureToPathMap(structureA)
+  const mapB = structureToPathMap(structureB)
+
+  // Paths below directories whose hashes match are unchanged without further comparison
+  const unchangedSubtrees = new Set()
+
+  // Directories with unreadable files below them have no hash and are always compared entry by entry
+  if (structureA.hash && structureA.hash === structureB.hash && !opts.compareModTime) {
+    markSubtree(structureB, unchangedSubtrees)
+  }
+
+  // Find removed items (in A but not in B)
+  for (const [path, nodeA] of Object.entries(mapA)) {
+    if (!mapB[path]) {
+      result.removed.push({
+        path,
+        type: nodeA.type,
+        size: nodeA.size,
+      })
+    }
+  }
+
+  // Find added and modified items
+  for (const [path, nodeB] of Object.entries(mapB)) {
+    const nodeA = mapA[path]
+
+    if (unchangedSubtrees.has(path)) {
+      result.unchanged.push({
+        path,
+        type: nodeB.type,
+      })
+    } else if (!nodeA) {
+      // Added in B
+      result.added.push({
+        path,
+        type: nodeB.type,
+        size: nodeB.size,
+      })
+    } else {
+      // Exists in both, check if modified
+      let isModified = false
+      const modifications = {}
+
+      if (nodeA.type !== nodeB.type) {
+        isModified = true
+        modifications.typeChanged = {
+          from: nodeA.type,
+          to: nodeB.type,
+        }
+      } else if (nodeA.type === "file") {
+        // Compare file attributes
+        if (opts.compareSize && nodeA.size !== nodeB.size) {
+          isModified = true
+          modifications.sizeChanged = {
+            from: nodeA.size,
+            to: nodeB.size,
+            fromFormatted: nodeA.sizeFormatted,
+            toFormatted: nodeB.sizeFormatted,
+          }
+        }
+
+        if (
+          opts.compareModTime &&
+          nodeA.modTime &&
+          nodeB.modTime &&
+          nodeA.modTime.getTime() !== nodeB.modTime.getTime()
+        ) {
+          isModified = true
+          modifications.modTimeChanged = {
+            from: nodeA.modTimeFormatted,
+            to: nodeB.modTimeFormatted,
+          }
+        }
+
+        if (opts.compareContent && nodeA.content !== nodeB.content) {
+          isModified = true
+          modifications.contentChanged = true
+        }
+
+        if (
+          opts.contentDiff &&
+          typeof nodeA.content === "string" &&
+          typeof nodeB.content === "string" &&
+          nodeA.content !== nodeB.content
+        ) {
+          isModified = true
+          modifications.contentChanged = true
+
+          if (isBinaryContent(nodeA.content) || isBinaryContent(nodeB.content)) {
+            modifications.binary = true
+          } else {
+            modifications.contentDiff = createLineDiff(nodeA.content, nodeB.content, {
+              contextLines: opts.contextLines,
+            })
+          }
+        }
+
+        if (nodeA.hash && nodeB.hash && nodeA.hash !== nodeB.hash) {
+          isModified = true
+          modifications.hashChanged = {
+            from: nodeA.hash,
+            to: nodeB.hash,
+          }
+        }
+
+        // A file that could not be read may have changed in any way
+        if (nodeA.hashError || nodeB.hashError) {
+          isModified = true
+          modifications.hashError = nodeB.hashError || nodeA.hashError
+        }
+        
+        // Compare complexity if requested
+        if (opts.compareComplexity && 
+            nodeA.complexity && 
+            nodeB.complexity && 
+            nodeA.complexity.complexity !== nodeB.complexity.complexity) {
+          isModified = true
+          modifications.complexityChanged = {
+            from: nodeA.complexity.complexity,
+            to: nodeB.complexity.complexity,
+          }
+        }
+      } else if (nodeA.type === "symlink" && nodeA.target !== nodeB.target) {
+        isModified = true
+        modifications.targetChanged = {
+          from: nodeA.target,
+          to: nodeB.target,
+        }
+      } else if (
+        nodeA.type === "directory" &&
+        nodeA.hash &&
+        nodeA.hash === nodeB.hash &&
+        !opts.compareModTime
+      ) {
+        markSubtree(nodeB, unchangedSubtrees)
+      }
+
+      if (isModified) {
+        result.modified.push({
+          path,
+          type: nodeB.type,
+          size: nodeB.size,
+          previousSize: nodeA.size,
+          modifications,
+        })
+      } else {
+        result.unchanged.push({
+          path,
+          type: nodeB.type,
+        })
+      }
+    }
+  }
+
+  if (opts.detectRenames || opts.renameSimilarity !== null) {
+    detectRenames(result, mapA, mapB, opts)
+  }
+
+  if (opts.contentDiff) {
+    result.contentSummary = summarizeContentChanges(result.modified)
+  }
+
+  return result
+}
+
+/**
+ * Arrange entries with forward-slash paths into a tree of nodes,
+ * each with a name, children and the entry at that path (if any)
+ * @private
+ */
+function buildPathTree(entries) {
+  const root = { name: ".", type: "directory", children: [] }
+
+  entries.forEach((entry) => {
+    let node = root
+
+    entry.path.split("/").forEach((segment) => {
+      let child = node.children.find((candidate) => candidate.name === segment)
+
+      if (!child) {
+        child = { name: segment, type: "directory", children: [] }
+        node.children.push(child)
+      }
+
+      node = child
+    })
+
+    node.type = entry.type
+    node.entry = entry
+  })
+
+  sortPathTree(root)
+  return root
+}
+
+/**
+ * Sort a tree of path nodes: directories first, then files, alphabetically like the structure itself
+ * @private
+ */
+function sortPathTree(node) {
+  node.children.sort((a, b) => {
+    if (a.type === "directory" && b.type !== "directory") return -1
+    if (a.type !== "directory" && b.type === "directory") return 1
+    return a.name.localeCompare(b.name)
+  })
+
+  node.children.forEach((child) => {
+    if (child.children) sortPathTree(child)
+  })
+}
+
+/**
+ * Create an empty directory node for summarizeDiffByDirectory
+ * @private
+ */
+function createDiffSummaryDirectory(name, dirPath) {
+  return {
+    name,
+    path: dirPath,
+    type: "directory",
+    added: 0,
+    removed: 0,
+    modified: 0,
+    renamed: 0,
+    bytesAdded: 0,
+    bytesRemoved: 0,
+    sizeDelta: 0,
+    children: [],
+  }
+}
+
+/**
+ * Find or create a child directory node in a diff summary tree
+ * @private
+ */
+function getDiffSummaryDirectory(parent, name) {
+  let directory = parent.children.find((child) => child.type === "directory" && child.name === name)
+
+  if (!directory) {
+    directory = createDiffSummaryDirectory(name, parent.path ? `${parent.path}/${name}` : name)
+    parent.children.push(directory)
+  }
+
+  return directory
+}
+
+/**
+ * Add up line additions and deletions per directory, including all parent directories
+ * @private
+ */
+function summarizeContentChanges(modified) {
+  const summary = {}
+
+  modified.forEach(({ path: filePath, modifications }) => {
+    if (!modifications.contentDiff) return
+
+    const { additions, deletions } = modifications.contentDiff
+    let directory = filePath
+
+    do {
+      directory = path.posix.dirname(directory)
+
+      if (!summary[directory]) {
+        summary[directory] = { files: 0, additions: 0, deletions: 0 }
+      }
+
+      summary[directory].files++
+      summary[directory].additions += additions
+      summary[directory].deletions += deletions
+    } while (directory !== ".")
+  })
+
+  return summary
+}
+
+/**
+ * Compare two structures against their common base.
+ * Each path is classified as changed in ours only, changed in theirs only,
+ * changed in both (a conflict, flagged identical when both sides made the same change), or unchanged.
+ * @param {Object} base - The structure both sides started from
+ * @param {Object} ours - Our structure
+ * @param {Object} theirs - Their structure
+ * @param {Object} options - Comparison options, as for diffStructures
+ * @returns {Object} - Paths grouped by how they changed
+ */
+function diffStructures3(base, ours, theirs, options = {}) {
+  // A rename would be one change on one side but two on the other, so each side is compared path by path
+  const opts = {
+    ...options,
+    detectRenames: false,
+    renameSimilarity: null,
+  }
+
+  const toChanges = (diff) => {
+    const changes = new Map()
+
+    diff.added.forEach((entry) => changes.set(entry.path, { ...entry, status: "added" }))
+    diff.removed.forEach((entry) => changes.set(entry.path, { ...entry, status: "removed" }))
+    diff.modified.forEach((entry) => changes.set(entry.path, { ...entry, status: "modified" }))
+
+    return changes
+  }
+
+  const oursChanges = toChanges(diffStructures(base, ours, opts))
+  const theirsChanges = toChanges(diffStructures(base, theirs, opts))
+  const between = diffStructures(ours, theirs, opts)
+  const sameOnBothSides = new Set(between.unchanged.map((entry) => entry.path))
+
+  const result = {
+    changedInOurs: [],
+    changedInTheirs: [],
+    conflicts: [],
+    unchanged: [],
+  }
+
+  const baseMap = structureToPathMap(base)
+  const paths = new Set([
+    ...Object.keys(baseMap),
+    ...oursChanges.keys(),
+    ...theirsChanges.keys(),
+  ])
+
+  Array.from(paths)
+    .sort()
+    .forEach((entryPath) => {
+      const oursChange = oursChanges.get(entryPath)
+      const theirsChange = theirsChanges.get(entryPath)
+
+      if (oursChange && theirsChange) {
+        result.conflicts.push({
+          path: entryPath,
+          type: (oursChange.status === "removed" ? theirsChange : oursChange).type,
+          ours: oursChange.status,
+          theirs: theirsChange.status,
+          // Removed on both sides, or the same content added or modified on both
+          identical:
+            (oursChange.status === "removed" && theirsChange.status === "removed") ||
+            sameOnBothSides.has(entryPath),
         })
+      } else if (oursChange) {
+        result.changedInOurs.push(oursChange)
+      } else if (theirsChange) {
+        result.changedInTheirs.push(theirsChange)
+      } else {
+        result.unchanged.push({ path: entryPath, type: baseMap[entryPath].type })
+      }
+    })
 
-        // Keep only top 10 largest files
-        stats.largestFiles.sort((a, b) => b.size - a.size)
-        if (stats.largestFiles.length > 10) {
-          stats.largestFiles.pop()
+  return result
+}
+
+/**
+ * Pair removed and added files that are the same file under a new path.
+ * Identical hashes are matched first, then content similarity when a threshold is set.
+ * Matched entries are moved from added/removed to renamed.
+ * @private
+ */
+function detectRenames(result, mapA, mapB, options) {
+  const removedFiles = result.removed.filter((entry) => entry.type === "file")
+  const addedFiles = result.added.filter((entry) => entry.type === "file")
+  const pairedFrom = new Set()
+  const pairedTo = new Set()
+
+  const pair = (from, to, similarity) => {
+    pairedFrom.add(from)
+    pairedTo.add(to)
+    result.renamed.push({ from, to, type: "file", similarity, size: mapB[to].size })
+  }
+
+  // Exact matches by hash, preferring a candidate with the same file name
+  const removedByHash = new Map()
+
+  for (const { path: from } of removedFiles) {
+    const hash = mapA[from].hash
+    if (!hash) continue
+
+    if (!removedByHash.has(hash)) {
+      removedByHash.set(hash, [])
+    }
+    removedByHash.get(hash).push(from)
+  }
+
+  for (const { path: to } of addedFiles) {
+    const candidates = (removedByHash.get(mapB[to].hash) || []).filter((from) => !pairedFrom.has(from))
+    if (candidates.length === 0) continue
+
+    const name = path.posix.basename(to)
+    pair(candidates.find((from) => path.posix.basename(from) === name) || candidates[0], to, 1)
+  }
+
+  // Similar content, best scoring pairs first
+  if (options.renameSimilarity !== null) {
+    const candidates = []
+
+    for (const { path: from } of removedFiles) {
+      if (pairedFrom.has(from) || typeof mapA[from].content !== "string") continue
+
+      for (const { path: to } of addedFiles) {
+        if (pairedTo.has(to) || typeof mapB[to].content !== "string") continue
+
+        const similarity = getContentSimilarity(mapA[from].content, mapB[to].content)
+
+        if (similarity >= options.renameSimilarity) {
+          candidates.push({ from, to, similarity })
         }
       }
+    }
 
-      if (node.modTime) {
-        const fileInfo = {
-          path: node.relativePath,
-          modTime: node.modTime,
-          modTimeFormatted: node.modTimeFormatted,
+    candidates
+      .sort((a, b) => b.similarity - a.similarity)
+      .forEach(({ from, to, similarity }) => {
+        if (!pairedFrom.has(from) && !pairedTo.has(to)) {
+          pair(from, to, similarity)
         }
+      })
+  }
 
-        // Track oldest files
-        stats.oldestFiles.push({ ...fileInfo })
-        stats.oldestFiles.sort((a, b) => a.modTime - b.modTime)
-        if (stats.oldestFiles.length > 10) {
-          stats.oldestFiles.pop()
-        }
+  result.removed = result.removed.filter((entry) => !pairedFrom.has(entry.path))
+  result.added = result.added.filter((entry) => !pairedTo.has(entry.path))
+  result.renamed.sort((a, b) => a.to.localeCompare(b.to))
+}
 
-        // Track newest files
-        stats.newestFiles.push({ ...fileInfo })
-        stats.newestFiles.sort((a, b) => b.modTime - a.modTime)
-        if (stats.newestFiles.length > 10) {
-          stats.newestFiles.pop()
-        }
-      }
-      
-      // Track language stats
-      if (node.language) {
-        stats.languageStats[node.language] = (stats.languageStats[node.language] || 0) + 1
+/**
+ * Similarity of two texts as the Dice coefficient of their lines (0 to 1)
+ * @private
+ */
+function getContentSimilarity(contentA, contentB) {
+  const linesA = contentA.split(/\r?\n/)
+  const linesB = contentB.split(/\r?\n/)
+  const counts = new Map()
+  let shared = 0
+
+  linesA.forEach((line) => counts.set(line, (counts.get(line) || 0) + 1))
+
+  linesB.forEach((line) => {
+    const count = counts.get(line)
+
+    if (count) {
+      shared++
+      counts.set(line, count - 1)
+    }
+  })
+
+  return (2 * shared) / (linesA.length + linesB.length)
+}
+
+/**
+ * Roll the changes of a diff up into a directory tree.
+ * Every directory gets counts of the files added, removed, modified and renamed below it,
+ * plus the bytes gained and lost; changed files become leaf entries with a status.
+ * A file moved to another directory is listed and counted under both its old and new directory.
+ * @param {Object} diff - Result of diffStructures
+ * @returns {Object} - Root directory of the summary tree
+ */
+function summarizeDiffByDirectory(diff) {
+  const root = createDiffSummaryDirectory(".", "")
+
+  // The directories from the root down to the parent of a path
+  const getAncestors = (entryPath) => {
+    const ancestors = [root]
+
+    entryPath
+      .split("/")
+      .slice(0, -1)
+      .forEach((segment) => {
+        ancestors.push(getDiffSummaryDirectory(ancestors[ancestors.length - 1], segment))
+      })
+
+    return ancestors
+  }
+
+  const addEntry = (entry, status) => {
+    const entryPath = status === "renamed" ? entry.to : entry.path
+    const name = path.posix.basename(entryPath)
+    const ancestors = getAncestors(entryPath)
+    const parent = ancestors[ancestors.length - 1]
+
+    if (entry.type === "directory") {
+      getDiffSummaryDirectory(parent, name).status = status
+      return
+    }
+
+    let sizeDelta = 0
+
+    if (status === "added" && typeof entry.size === "number") {
+      sizeDelta = entry.size
+    } else if (status === "removed" && typeof entry.size === "number") {
+      sizeDelta = -entry.size
+    } else if (status === "modified" && typeof entry.size === "number" && typeof entry.previousSize === "number") {
+      sizeDelta = entry.size - entry.previousSize
+    }
+
+    parent.children.push({
+      name,
+      path: entryPath,
+      type: entry.type,
+      status,
+      ...(status === "renamed" ? { from: entry.from, similarity: entry.similarity } : {}),
+      sizeDelta,
+    })
+
+    ancestors.forEach((directory) => {
+      directory[status]++
+
+      if (sizeDelta > 0) {
+        directory.bytesAdded += sizeDelta
+      } else {
+        directory.bytesRemoved -= sizeDelta
       }
-      
-      // Track complexity stats
-      if (node.complexity) {
-        const complexity = node.complexity.complexity
-        
-        if (complexity === 'very high') {
-          stats.complexityStats.veryHigh++
-        } else if (complexity === 'high') {
-          stats.complexityStats.high++
-        } else if (complexity === 'medium') {
-          stats.complexityStats.medium++
-        } else {
-          stats.complexityStats.low++
-        }
-        
-        // Track complexity by language
-        if (node.language) {
-          if (!stats.complexityByLanguage[node.language]) {
-            stats.complexityByLanguage[node.language] = {
-              low: 0,
-              medium: 0,
-              high: 0,
-              veryHigh: 0
-            }
-          }
-          
-          stats.complexityByLanguage[node.language][complexity.replace(' ', '')] = 
-            (stats.complexityByLanguage[node.language][complexity.replace(' ', '')] || 0) + 1
-        }
-        
-        // Track most complex files
-        stats.mostComplexFiles.push({
-          path: node.relativePath,
-          language: node.language,
-          complexity: node.complexity,
-          size: node.size,
-          sizeFormatted: node.sizeFormatted
-        })
-        
-        // Keep only top 10 most complex files
-        stats.mostComplexFiles.sort((a, b) => {
-          const complexityOrder = { 'very high': 4, 'high': 3, 'medium': 2, 'low': 1 }
-          return complexityOrder[b.complexity.complexity] - complexityOrder[a.complexity.complexity]
-        })
-        
-        if (stats.mostComplexFiles.length > 10) {
-          stats.mostComplexFiles.pop()
-        }
+
+      directory.sizeDelta += sizeDelta
+    })
+
+    if (status !== "renamed") return
+
+    // A move also changes the directory it left; directories containing both paths count it once
+    const sourceAncestors = getAncestors(entry.from)
+    const sourceParent = sourceAncestors[sourceAncestors.length - 1]
+
+    if (sourceParent === parent) return
+
+    sourceParent.children.push({
+      name: path.posix.basename(entry.from),
+      path: entry.from,
+      type: entry.type,
+      status,
+      to: entry.to,
+      similarity: entry.similarity,
+      sizeDelta: 0,
+    })
+
+    sourceAncestors
+      .filter((directory) => !ancestors.includes(directory))
+      .forEach((directory) => {
+        directory.renamed++
+      })
+  }
+
+  const { added, removed, modified, renamed = [] } = diff
+
+  added.forEach((entry) => addEntry(entry, "added"))
+  removed.forEach((entry) => addEntry(entry, "removed"))
+  modified.forEach((entry) => addEntry(entry, "modified"))
+  renamed.forEach((entry) => addEntry(entry, "renamed"))
+
+  // Directories first, then files, alphabetically like the structure itself
+  function sortChildren(node) {
+    node.children.sort((a, b) => {
+      if (a.type === "directory" && b.type !== "directory") return -1
+      if (a.type !== "directory" && b.type === "directory") return 1
+      return a.name.localeCompare(b.name)
+    })
+
+    node.children.forEach((child) => {
+      if (child.type === "directory") sortChildren(child)
+    })
+  }
+
+  sortChildren(root)
+  return root
+}
+
+/**
+ * Format a diff as a tree of changed paths with per-directory totals
+ * @param {Object} diff - Result of diffStructures
+ * @param {Object} options - Formatting options
+ * @returns {string} - Tree representation
+ */
+function formatDiffAsTree(diff, options = {}) {
+  const opts = {
+    color: true, // Color entries by status
+    showSize: true, // Show byte deltas
+    ...options,
+  }
+
+  const paint = (color, text) => (opts.color ? chalk[color](text) : text)
+
+  const markers = {
+    added: paint("green", "+"),
+    removed: paint("red", "\u2212"),
+    modified: paint("yellow", "~"),
+    renamed: paint("blue", ">"),
+  }
+
+  const formatDelta = (bytes) => {
+    if (bytes === 0) return "0 B"
+    return `${bytes > 0 ? "+" : "-"}${formatSize(Math.abs(bytes))}`
+  }
+
+  const describeDirectory = (directory) => {
+    const counts = [
+      directory.added && paint("green", `+${directory.added}`),
+      directory.removed && paint("red", `\u2212${directory.removed}`),
+      directory.modified && paint("yellow", `~${directory.modified}`),
+      directory.renamed && paint("blue", `>${directory.renamed}`),
+    ].filter(Boolean)
+
+    if (opts.showSize && (directory.bytesAdded || directory.bytesRemoved)) {
+      counts.push(formatDelta(directory.sizeDelta))
+    }
+
+    return counts.length ? ` (${counts.join(" ")})` : ""
+  }
+
+  const describeEntry = (entry) => {
+    let line = `${markers[entry.status]} ${entry.name}`
+
+    if (entry.status === "renamed") {
+      line += entry.to ? ` -> ${entry.to}` : ` <- ${entry.from}`
+
+      if (entry.similarity < 1) {
+        line += paint("dim", ` [${Math.round(entry.similarity * 100)}% similar]`)
       }
     }
+
+    if (opts.showSize && entry.sizeDelta !== 0) {
+      line += ` (${formatDelta(entry.sizeDelta)})`
+    }
+
+    return line
   }
 
-  traverse(structure)
+  const summary = summarizeDiffByDirectory(diff)
+  let result = `${summary.name}/${describeDirectory(summary)}\n`
 
-  if (stats.totalSize > 0) {
-    stats.totalSizeFormatted = formatSize(stats.totalSize)
+  function traverse(node, prefix) {
+    node.children.forEach((child, index, array) => {
+      const isLast = index === array.length - 1
+      const connector = isLast ? "└── " : "├── "
+
+      if (child.type === "directory") {
+        const marker = child.status ? `${markers[child.status]} ` : ""
+        result += `${prefix}${connector}${marker}${child.name}/${describeDirectory(child)}\n`
+        traverse(child, prefix + (isLast ? "    " : "│   "))
+      } else {
+        result += `${prefix}${connector}${describeEntry(child)}\n`
+      }
+    })
   }
 
-  return stats
+  traverse(summary, "")
+  return result
 }
 
 /**
- * Compare two directory structures and find differences
- * @param {Object} structureA - First structure
- * @param {Object} structureB - Second structure
- * @param {Object} options - Comparison options
- * @returns {Object} - Differences object
+ * Format a three-way comparison as a tree of changed paths
+ * @param {Object} diff3 - Result of diffStructures3
+ * @param {Object} options - Formatting options
+ * @returns {string} - Tree representation
  */
-function diffStructures(structureA, structureB, options = {}) {
+function formatDiff3AsTree(diff3, options = {}) {
   const opts = {
-    compareContent: false,
-    compareSize: true,
-    compareModTime: false,
-    compareComplexity: false, // Option to compare complexity
+    color: true, // Color entries by side
     ...options,
   }
 
-  const result = {
-    added: [],
-    removed: [],
-    modified: [],
-    unchanged: [],
+  const paint = (color, text) => (opts.color ? chalk[color](text) : text)
+  const symbols = { added: "+", removed: "\u2212", modified: "~" }
+
+  const entries = [
+    ...diff3.changedInOurs.map((entry) => ({ ...entry, label: paint("cyan", `[ours ${symbols[entry.status]}]`) })),
+    ...diff3.changedInTheirs.map((entry) => ({
+      ...entry,
+      label: paint("magenta", `[theirs ${symbols[entry.status]}]`),
+    })),
+    ...diff3.conflicts.map((entry) => {
+      const sides = `${symbols[entry.ours]}/${symbols[entry.theirs]}`
+
+      return {
+        ...entry,
+        label: entry.identical ? paint("yellow", `[both ${sides}]`) : paint("red", `[conflict ${sides}]`),
+      }
+    }),
+  ]
+
+  let result = `./ (${diff3.changedInOurs.length} ours, ${diff3.changedInTheirs.length} theirs, ${
+    diff3.conflicts.filter((entry) => !entry.identical).length
+  } conflicts)\n`
+
+  function traverse(node, prefix) {
+    node.children.forEach((child, index, array) => {
+      const isLast = index === array.length - 1
+      const connector = isLast ? "└── " : "├── "
+      const label = child.entry ? `${child.entry.label} ` : ""
+
+      result += `${prefix}${connector}${label}${child.name}${child.type === "directory" ? "/" : ""}\n`
+      traverse(child, prefix + (isLast ? "    " : "│   "))
+    })
+  }
+
+  traverse(buildPathTree(entries), "")
+  return result
+}
+
+/**
+ * Format the content changes of a diff as a unified patch
+ * @param {Object} diff - Result of diffStructures with contentDiff enabled
+ * @returns {string} - Patch text that can be applied with `git apply` or `patch -p1`
+ */
+function formatDiffAsPatch(diff) {
+  return diff.modified
+    .filter(({ modifications }) => modifications.contentDiff || modifications.binary)
+    .map(({ path: filePath, modifications }) =>
+      modifications.binary
+        ? `Binary files a/${filePath} and b/${filePath} differ\n`
+        : formatUnifiedDiff(`a/${filePath}`, `b/${filePath}`, modifications.contentDiff),
+    )
+    .join("")
+}
+
+/**
+ * Export the content changes of a diff as a side-by-side HTML report
+ * @param {Object} diff - Result of diffStructures with contentDiff enabled
+ * @param {Object} options - Export options
+ * @returns {string} - HTML representation
+ */
+function exportDiffToHtml(diff, options = {}) {
+  const opts = {
+    title: "Structure Diff",
+    ...options,
+  }
+
+  const files = diff.modified.filter(({ modifications }) => modifications.contentDiff || modifications.binary)
+  const totals = diff.contentSummary ? diff.contentSummary["."] : null
+
+  const renderHunk = (hunk) => {
+    let oldLine = hunk.oldStart
+    let newLine = hunk.newStart
+    let rows = ""
+    let deleted = []
+    let inserted = []
+
+    // Deletions and insertions of one change are shown next to each other
+    const flush = () => {
+      for (let i = 0; i < Math.max(deleted.length, inserted.length); i++) {
+        const left = deleted[i]
+        const right = inserted[i]
+
+        rows += `<tr>
+          <td class="line-number">${left ? left.number : ""}</td>
+          <td class="${left ? "deleted" : "empty"}">${left ? escapeHtml(left.text) : ""}</td>
+          <td class="line-number">${right ? right.number : ""}</td>
+          <td class="${right ? "inserted" : "empty"}">${right ? escapeHtml(right.text) : ""}</td>
+        </tr>`
+      }
+
+      deleted = []
+      inserted = []
+    }
+
+    hunk.lines.forEach((line) => {
+      const marker = line[0]
+      const text = line.slice(1).replace(/\r?\n$/, "")
+
+      if (marker === "-") {
+        deleted.push({ number: oldLine++, text })
+      } else if (marker === "+") {
+        inserted.push({ number: newLine++, text })
+      } else {
+        flush()
+        rows += `<tr>
+          <td class="line-number">${oldLine++}</td>
+          <td>${escapeHtml(text)}</td>
+          <td class="line-number">${newLine++}</td>
+          <td>${escapeHtml(text)}</td>
+        </tr>`
+      }
+    })
+
+    flush()
+
+    return `<tr class="hunk-header"><td colspan="4">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td></tr>${rows}`
   }
 
-  // Convert structures to path maps for easier comparison
-  const mapA = structureToPathMap(structureA)
-  const mapB = structureToPathMap(structureB)
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${opts.title}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      line-height: 1.6;
+      color: #212529;
+      background-color: #f8f9fa;
+      margin: 0;
+      padding: 0;
+    }
+
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      padding: 2rem;
+    }
+
+    .summary {
+      display: flex;
+      gap: 1rem;
+      margin-bottom: 2rem;
+    }
+
+    .summary-card {
+      background-color: #ffffff;
+      border-radius: 8px;
+      padding: 1rem 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+
+    .file {
+      background-color: #ffffff;
+      border-radius: 8px;
+      margin-bottom: 1.5rem;
+      box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+    }
 
-  // Find removed items (in A but not in B)
-  for (const [path, nodeA] of Object.entries(mapA)) {
-    if (!mapB[path]) {
-      result.removed.push({
-        path,
-        type: nodeA.type,
-      })
+    .file-header {
+      padding: 0.75rem 1rem;
+      border-bottom: 1px solid #dee2e6;
+      font-family: monospace;
+      font-weight: bold;
     }
-  }
 
-  // Find added and modified items
-  for (const [path, nodeB] of Object.entries(mapB)) {
-    const nodeA = mapA[path]
+    .additions {
+      color: #198754;
+    }
 
-    if (!nodeA) {
-      // Added in B
-      result.added.push({
-        path,
-        type: nodeB.type,
-      })
-    } else {
-      // Exists in both, check if modified
-      let isModified = false
-      const modifications = {}
+    .deletions {
+      color: #dc3545;
+    }
 
-      if (nodeA.type !== nodeB.type) {
-        isModified = true
-        modifications.typeChanged = {
-          from: nodeA.type,
-          to: nodeB.type,
-        }
-      } else if (nodeA.type === "file") {
-        // Compare file attributes
-        if (opts.compareSize && nodeA.size !== nodeB.size) {
-          isModified = true
-          modifications.sizeChanged = {
-            from: nodeA.size,
-            to: nodeB.size,
-            fromFormatted: nodeA.sizeFormatted,
-            toFormatted: nodeB.sizeFormatted,
-          }
-        }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      table-layout: fixed;
+      font-family: monospace;
+      font-size: 0.85rem;
+    }
 
-        if (
-          opts.compareModTime &&
-          nodeA.modTime &&
-          nodeB.modTime &&
-          nodeA.modTime.getTime() !== nodeB.modTime.getTime()
-        ) {
-          isModified = true
-          modifications.modTimeChanged = {
-            from: nodeA.modTimeFormatted,
-            to: nodeB.modTimeFormatted,
-          }
-        }
+    td {
+      padding: 0 0.5rem;
+      white-space: pre-wrap;
+      word-break: break-all;
+      vertical-align: top;
+    }
 
-        if (opts.compareContent && nodeA.content !== nodeB.content) {
-          isModified = true
-          modifications.contentChanged = true
-        }
+    td.line-number {
+      width: 3.5rem;
+      color: #6c757d;
+      text-align: right;
+      user-select: none;
+    }
 
-        if (nodeA.hash && nodeB.hash && nodeA.hash !== nodeB.hash) {
-          isModified = true
-          modifications.hashChanged = {
-            from: nodeA.hash,
-            to: nodeB.hash,
-          }
-        }
-        
-        // Compare complexity if requested
-        if (opts.compareComplexity && 
-            nodeA.complexity && 
-            nodeB.complexity && 
-            nodeA.complexity.complexity !== nodeB.complexity.complexity) {
-          isModified = true
-          modifications.complexityChanged = {
-            from: nodeA.complexity.complexity,
-            to: nodeB.complexity.complexity,
-          }
-        }
-      }
+    td.deleted {
+      background-color: #ffebe9;
+    }
 
-      if (isModified) {
-        result.modified.push({
-          path,
-          type: nodeB.type,
-          modifications,
-        })
-      } else {
-        result.unchanged.push({
-          path,
-          type: nodeB.type,
-        })
-      }
+    td.inserted {
+      background-color: #e6ffec;
     }
-  }
 
-  return result
+    td.empty {
+      background-color: #f1f3f5;
+    }
+
+    tr.hunk-header td {
+      background-color: #ddf4ff;
+      color: #6c757d;
+      padding: 0.25rem 0.5rem;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${opts.title}</h1>
+
+    <div class="summary">
+      <div class="summary-card">${files.length} files changed</div>
+      ${totals ? `
+      <div class="summary-card"><span class="additions">+${totals.additions}</span> / <span class="deletions">-${totals.deletions}</span> lines</div>
+      ` : ""}
+    </div>
+
+    ${files.length === 0 ? "<p>No content changes.</p>" : ""}
+
+    ${files
+      .map(
+        ({ path: filePath, modifications }) => `
+    <div class="file">
+      <div class="file-header">
+        ${escapeHtml(filePath)}
+        ${modifications.contentDiff ? `<span class="additions">+${modifications.contentDiff.additions}</span> <span class="deletions">-${modifications.contentDiff.deletions}</span>` : "(binary)"}
+      </div>
+      ${modifications.contentDiff ? `<table>${modifications.contentDiff.hunks.map(renderHunk).join("")}</table>` : ""}
+    </div>`,
+      )
+      .join("")}
+  </div>
+</body>
+</html>`
 }
 
 /**
@@ -908,6 +2451,23 @@ function exportToHtml(structure, options = {}) {
       display: block;
     }
     
+    .git-status {
+      display: inline-block;
+      margin-left: 0.25rem;
+      padding: 0 0.35rem;
+      border-radius: 4px;
+      font-family: monospace;
+      font-size: 0.8rem;
+      color: white;
+    }
+    
+    .git-conflicted { background-color: #dc3545; }
+    .git-staged { background-color: #28a745; }
+    .git-modified { background-color: #fd7e14; }
+    .git-deleted { background-color: #6f42c1; }
+    .git-untracked { background-color: #17a2b8; }
+    .git-ignored { background-color: #6c757d; }
+    
     .filters {
       display: flex;
       flex-wrap: wrap;
@@ -1544,7 +3104,7 @@ function renderTreeView(structure, options) {
     
     if (node.type === 'directory') {
       html += `<div class="tree-item">`;
-      html += `<div class="tree-directory">${node.name}/</div>`;
+      html += `<div class="tree-directory">${node.name}/${renderGitStatus(node)}</div>`;
       html += `<div class="tree-children">`;
       
       if (node.children && node.children.length > 0) {
@@ -1553,6 +3113,8 @@ function renderTreeView(structure, options) {
       
       html += `</div>`;
       html += `</div>`;
+    } else if (node.type === 'symlink') {
+      html += `<div class="tree-item tree-symlink">${node.name} &rarr; ${node.target}</div>`;
     } else {
       let fileInfo = node.name;
       
@@ -1564,6 +3126,8 @@ function renderTreeView(structure, options) {
         fileInfo += ` <span class="complexity-badge complexity-${node.complexity.complexity.replace(' ', '-')}">${node.complexity.complexity}</span>`;
       }
       
+      fileInfo += renderGitStatus(node);
+      
       html += `<div class="tree-item tree-file">${fileInfo}</div>`;
     }
   }
@@ -1572,6 +3136,20 @@ function renderTreeView(structure, options) {
   return html;
 }
 
+/**
+ * Render git status badges for a tree view node
+ * @private
+ */
+function renderGitStatus(node) {
+  if (!node.gitStatus) return '';
+  
+  return node.gitStatus.map(state => {
+    const count = node.gitStatusCounts ? node.gitStatusCounts[state] || '' : '';
+    const title = node.gitStatusCounts ? `${count || ''} ${state}`.trim() : state;
+    return `<span class="git-status git-${state}" title="${title}">${count}${GIT_STATUS_MARKERS[state]}</span>`;
+  }).join('');
+}
+
 /**
  * Watch a directory for changes and call a callback when changes are detected
  * @param {string} dirPath - The directory path to watch
@@ -1592,16 +3170,29 @@ function watchStructure(dirPath, callback, options = {}) {
   let timeout = null
   let initialScan = true
 
+  const gitignore = opts.respectGitignore ? createGitignoreMatcher(dirPath) : null
+
   // Create a watcher
   const watcher = chokidar.watch(dirPath, {
     ignored: [
       ...opts.ignoreDirs.map((dir) => `**/${dir}/**`),
       ...opts.ignoreFiles,
       ...opts.ignoreExtensions.map((ext) => `**/*.${ext}`),
+      // chokidar calls these once without stats; wait for them so directory-only rules apply
+      ...(gitignore ? [(watchedPath, stats) => Boolean(stats) && gitignore.isIgnored(watchedPath, stats.isDirectory())] : []),
+      ...(opts.include.length > 0 || opts.exclude.length > 0
+        ? [
+            (watchedPath, stats) => {
+              const relativePath = path.relative(dirPath, watchedPath)
+              return Boolean(stats) && relativePath !== "" && isFilteredByPattern(relativePath, stats.isDirectory(), opts)
+            },
+          ]
+        : []),
     ],
     persistent: true,
     ignoreInitial: false,
     depth: opts.maxDepth === Number.POSITIVE_INFINITY ? undefined : opts.maxDepth,
+    followSymlinks: opts.symlinks === "follow",
   })
 
   // Debounced callback to avoid multiple rapid updates
@@ -1620,6 +3211,11 @@ function watchStructure(dirPath, callback, options = {}) {
 
   // Watch for changes
   watcher.on("all", (event, path) => {
+    // Reload ignore rules when a .gitignore file changes
+    if (gitignore && path.endsWith(".gitignore")) {
+      gitignore.clear()
+    }
+
     updateStructure()
   })
 
@@ -1637,11 +3233,84 @@ function watchStructure(dirPath, callback, options = {}) {
   }
 }
 
+/**
+ * Save a structure snapshot to disk so it can be diffed against later
+ * @param {Object} structure - The structure object
+ * @param {string} filePath - Where to write the snapshot
+ * @param {Object} options - Snapshot options
+ * @returns {Promise<Object>} - The snapshot that was written
+ */
+async function saveSnapshot(structure, filePath, options = {}) {
+  const opts = {
+    metadata: {}, // Extra information to record, e.g. a release version
+    includeContent: false, // File contents make snapshots large, so they are dropped by default
+    ...options,
+  }
+
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    root: structure.path,
+    metadata: opts.metadata,
+    structure: opts.includeContent ? structure : stripContent(structure),
+  }
+
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2))
+  return snapshot
+}
+
+/**
+ * Load a structure snapshot written by saveSnapshot
+ * @param {string} filePath - The snapshot file
+ * @returns {Promise<Object>} - The snapshot, with its structure ready for diffStructures
+ */
+async function loadSnapshot(filePath) {
+  let snapshot
+
+  try {
+    snapshot = JSON.parse(await fs.readFile(filePath, "utf8"))
+  } catch (error) {
+    throw new Error(`Error loading snapshot: ${error.message}`)
+  }
+
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.structure) {
+    throw new Error(`Error loading snapshot: ${filePath} is not a valid snapshot file`)
+  }
+
+  // JSON turns dates into strings; restore them so modification times can be compared
+  function rehydrate(node) {
+    if (node.modTime) {
+      node.modTime = new Date(node.modTime)
+    }
+
+    if (node.children) {
+      node.children.forEach(rehydrate)
+    }
+  }
+
+  rehydrate(snapshot.structure)
+  snapshot.createdAt = new Date(snapshot.createdAt)
+
+  return snapshot
+}
+
+/**
+ * Delete the scan cache of a directory
+ * @param {string} dirPath - The scanned directory
+ * @param {Object} options - Options (cacheFile)
+ * @returns {Promise<boolean>} - True if a cache file was removed
+ */
+async function clearScanCache(dirPath, options = {}) {
+  const opts = { ...defaultOptions, ...options }
+  return removeCacheFile(resolveCachePath(path.resolve(dirPath), opts.cacheFile))
+}
+
 // Helper functions
 
 /**
  * Format a size in bytes to a human-readable string
- * @private
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "1.50 KB"
  */
 function formatSize(bytes) {
   if (bytes === 0) return "0 B"
@@ -1653,20 +3322,159 @@ function formatSize(bytes) {
 }
 
 /**
- * Calculate MD5 hash of a file
+ * Create the shared state for a single scan
  * @private
  */
-async function getFileHash(filePath) {
-  try {
-    const content = await fs.readFile(filePath)
-    return createHash("md5").update(content).digest("hex")
-  } catch (error) {
-    return null
+function createScanContext(options, rootPath) {
+  return {
+    limit: createLimiter(options.concurrency),
+    gitignore: options.respectGitignore ? createGitignoreMatcher(rootPath) : null,
+    cache: options.cache ? loadScanCache(resolveCachePath(rootPath, options.cacheFile)) : null,
+  }
+}
+
+/**
+ * Create a function that runs async tasks with at most `concurrency` in flight
+ * @private
+ */
+function createLimiter(concurrency) {
+  const maxActive = Math.max(1, Number(concurrency) || 1)
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active >= maxActive || queue.length === 0) {
+      return
+    }
+
+    active++
+    const { task, resolve, reject } = queue.shift()
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+}
+
+/**
+ * Map items with an async function, running at most `concurrency` calls at a time.
+ * Results keep the order of the items
+ * @private
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length)
+  const workerCount = Math.min(items.length, Math.max(1, Number(concurrency) || 1))
+  let nextIndex = 0
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await fn(items[index])
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker))
+
+  return results
+}
+
+/**
+ * Calculate the hash of a file, streaming its content so large files aren't loaded into memory
+ * @private
+ */
+function getFileHash(filePath, algorithm = "md5") {
+  return new Promise((resolve, reject) => {
+    const hash = createHash(algorithm)
+    const stream = createReadStream(filePath)
+
+    stream.on("data", (chunk) => hash.update(chunk))
+    stream.on("end", () => resolve(hash.digest("hex")))
+    stream.on("error", reject)
+  })
+}
+
+/**
+ * Calculate a directory hash from the names, types and hashes of its sorted children,
+ * so two directories hash the same exactly when their contents are identical
+ * @private
+ */
+function getDirectoryHash(children, algorithm = "md5") {
+  const hash = createHash(algorithm)
+
+  for (const child of children) {
+    const childHash = child.type === "symlink" ? child.target : child.hash || ""
+    hash.update(`${child.type}\0${child.name}\0${childHash}\n`)
+  }
+
+  return hash.digest("hex")
+}
+
+/**
+ * Set the hash of a directory node, or hashError when something below it could not be hashed,
+ * so diffs never treat it as unchanged by hash
+ * @private
+ */
+function addDirectoryHash(node, algorithm) {
+  if (node.children.some((child) => child.hashError)) {
+    node.hash = null
+    node.hashError = "Contains files that could not be hashed"
+  } else {
+    node.hash = getDirectoryHash(node.children, algorithm)
+  }
+}
+
+/**
+ * Escape text for use in HTML
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+/**
+ * Copy a structure without file contents
+ * @private
+ */
+function stripContent(node) {
+  const { content, ...rest } = node
+
+  if (node.children) {
+    rest.children = node.children.map(stripContent)
+  }
+
+  return rest
+}
+
+/**
+ * Add the relative paths of all descendants of a node to a set
+ * @private
+ */
+function markSubtree(node, paths) {
+  if (node.children) {
+    node.children.forEach((child) => {
+      paths.add(child.relativePath)
+      markSubtree(child, paths)
+    })
   }
 }
 
 /**
- * Convert a structure to a flat path map
+ * Convert a structure to a flat path map of everything below the root.
+ * The roots are compared as a whole, so two directories with different names can still be diffed.
  * @private
  */
 function structureToPathMap(structure) {
@@ -1680,7 +3488,10 @@ function structureToPathMap(structure) {
     }
   }
 
-  traverse(structure)
+  if (structure.children) {
+    structure.children.forEach(traverse)
+  }
+
   return map
 }
 
@@ -2033,14 +3844,26 @@ function shouldIncludeComplexity(complexity, threshold) {
 // Export core functionality
 export { 
   extractStructure, 
+  walkStructure,
   formatAsTree, 
   toPaths, 
   filter, 
+  filterChangedFiles,
   getStats, 
   diffStructures, 
+  diffStructures3,
+  formatDiff3AsTree,
+  summarizeDiffByDirectory,
+  formatDiffAsTree,
+  formatDiffAsPatch,
+  exportDiffToHtml,
   exportToMarkdown, 
   exportToHtml, 
   watchStructure,
+  clearScanCache,
+  saveSnapshot,
+  loadSnapshot,
+  formatSize,
   analyzeCodeComplexity
 } from './core.js';
 
@@ -2050,6 +3873,12 @@ export {
   generateDuplicationReport 
 } from './analyzers/duplication-analyzer.js';
 
+export { 
+  findDuplicateFiles, 
+  formatDuplicateFilesAsTree, 
+  generateDuplicateFilesReport 
+} from './analyzers/file-duplicates-analyzer.js';
+
 export { 
   analyzeDependencies, 
   generateDependencyGraph 
@@ -2062,9 +3891,53 @@ export {
 
 export { 
   analyzeGitHistory, 
-  generateGitReport 
+  generateGitReport,
+  readGitLog,
+  listGitTags,
+  createAuthorNormalizer
 } from './analyzers/git-analyzer.js';
 
+export { 
+  analyzeOwnership, 
+  generateCodeowners, 
+  validateCodeowners, 
+  formatOwnershipAsTree, 
+  generateOwnershipReport 
+} from './analyzers/ownership-analyzer.js';
+
+export { 
+  analyzeStaleness, 
+  formatStalenessAsTree, 
+  generateStalenessReport 
+} from './analyzers/staleness-analyzer.js';
+
+export { 
+  analyzeHotspots, 
+  formatHotspotsAsTree, 
+  generateHotspotReport 
+} from './analyzers/hotspot-analyzer.js';
+
+export { 
+  analyzeTemporalCoupling, 
+  formatCouplingAsTree, 
+  generateCouplingReport 
+} from './analyzers/coupling-analyzer.js';
+
+export { 
+  analyzeTrends, 
+  trendsToCsv, 
+  formatTrendsAsTable, 
+  generateTrendReport 
+} from './analyzers/trend-analyzer.js';
+
+export { 
+  analyzeCommits, 
+  parseConventionalCommit, 
+  generateChangelog, 
+  updateChangelog, 
+  formatCommitsAsTree 
+} from './analyzers/commit-analyzer.js';
+
 // Export documentation analyzer
 export {
   analyzeDocumentation,
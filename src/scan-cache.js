@@ -0,0 +1,94 @@
+// scan-cache.js
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_FILE = '.ansa-fs-cache.json';
+
+/**
+ * Resolve the location of the cache file for a scanned directory
+ * @param {string} rootPath - Scanned directory
+ * @param {string} [cacheFile] - Cache file name or path, relative to the scanned directory
+ * @returns {string} - Absolute path of the cache file
+ */
+const resolveCachePath = (rootPath, cacheFile = DEFAULT_CACHE_FILE) => path.resolve(rootPath, cacheFile);
+
+/**
+ * Load a scan cache from disk. Per-file entries are keyed by relative path
+ * and only reused while the file's size and modification time are unchanged.
+ * @param {string} cachePath - Absolute path of the cache file
+ * @returns {Object} - Cache with get(), set() and save() methods
+ */
+const loadScanCache = (cachePath) => {
+  let entries = {};
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+
+    // Entries written by another cache format are discarded
+    if (data.version === CACHE_VERSION && data.files) {
+      entries = data.files;
+    }
+  } catch (error) {
+    // Missing or unreadable cache: start empty
+  }
+
+  const updated = {};
+
+  const get = (relativePath, stats) => {
+    const entry = entries[relativePath];
+
+    if (!entry || entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+      return null;
+    }
+
+    return entry;
+  };
+
+  const set = (relativePath, stats, data) => {
+    updated[relativePath] = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      ...data
+    };
+  };
+
+  // Only files seen during this scan are written back, so deleted files drop out
+  const save = async () => {
+    const data = {
+      version: CACHE_VERSION,
+      files: updated
+    };
+
+    await fs.promises.writeFile(cachePath, JSON.stringify(data));
+  };
+
+  return {
+    path: cachePath,
+    get,
+    set,
+    save
+  };
+};
+
+/**
+ * Delete a cache file if it exists
+ * @param {string} cachePath - Absolute path of the cache file
+ * @returns {Promise<boolean>} - True if a cache file was removed
+ */
+const clearScanCache = async (cachePath) => {
+  try {
+    await fs.promises.unlink(cachePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_CACHE_FILE,
+  resolveCachePath,
+  loadScanCache,
+  clearScanCache
+};
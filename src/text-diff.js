@@ -0,0 +1,247 @@
+// text-diff.js
+
+/**
+ * Split text into lines that keep their line terminator, so a missing
+ * newline at the end of a file shows up as a changed line
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines
+ */
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+/**
+ * Check if content looks binary (contains a NUL character)
+ * @param {string} content - File content
+ * @returns {boolean} - True if the content should not be diffed line by line
+ */
+const isBinaryContent = (content) => content.includes('\0');
+
+// Edit distance above which the search gives up and replaces the changed block wholesale,
+// since the recorded search state grows quadratically with the number of edits
+const MAX_EDITS = 2000;
+
+/**
+ * Compute the shortest edit script between two line arrays with Myers' algorithm
+ * @param {string[]} oldLines - Lines before the change
+ * @param {string[]} newLines - Lines after the change
+ * @returns {Object[]} - Operations of type 'equal', 'delete' or 'insert', in order
+ */
+const diffLines = (oldLines, newLines) => {
+  // Common prefix and suffix never need the search, and trimming them keeps it small
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  // Forward pass: record the furthest reaching x on each diagonal for every edit distance.
+  // Only diagonals -d-1..d+1 are read when backtracking from distance d, so only those are kept.
+  search:
+  for (let d = 0; d <= Math.min(max, MAX_EDITS); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break search;
+      }
+    }
+  }
+
+  const middle = [];
+
+  if (!found) {
+    a.forEach((line) => middle.push({ type: 'delete', line }));
+    b.forEach((line) => middle.push({ type: 'insert', line }));
+    middle.reverse();
+  }
+
+  // Backtrack through the recorded passes to recover the edit script
+  let x = n;
+  let y = m;
+
+  for (let d = found ? trace.length - 1 : -1; d >= 0; d--) {
+    const previous = trace[d];
+    const at = (diagonal) => previous[diagonal + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        middle.push({ type: 'insert', line: b[--y] });
+      } else {
+        middle.push({ type: 'delete', line: a[--x] });
+      }
+    }
+  }
+
+  middle.reverse();
+
+  return [
+    ...oldLines.slice(0, prefix).map((line) => ({ type: 'equal', line })),
+    ...middle,
+    ...oldLines.slice(oldLines.length - suffix).map((line) => ({ type: 'equal', line }))
+  ];
+};
+
+/**
+ * Group an edit script into unified diff hunks
+ * @param {Object[]} operations - Edit script from diffLines
+ * @param {number} contextLines - Unchanged lines to keep around each change
+ * @returns {Object[]} - Hunks with line ranges and prefixed lines
+ */
+const createHunks = (operations, contextLines = 3) => {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let trailing = 0;
+
+  operations.forEach((operation, index) => {
+    if (operation.type === 'equal') {
+      if (hunk) {
+        const nextChange = operations.findIndex((op, i) => i > index && op.type !== 'equal');
+        const untilNextChange = nextChange === -1 ? Infinity : nextChange - index;
+
+        // Close the hunk unless the next change is close enough to share its context
+        if (trailing >= contextLines && untilNextChange > contextLines) {
+          hunks.push(hunk);
+          hunk = null;
+        } else {
+          hunk.lines.push(` ${operation.line}`);
+          hunk.oldLines++;
+          hunk.newLines++;
+          trailing++;
+        }
+      }
+
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!hunk) {
+      // Open a hunk with up to contextLines of leading context
+      const leading = [];
+
+      for (let i = index - 1; i >= 0 && leading.length < contextLines && operations[i].type === 'equal'; i--) {
+        leading.unshift(` ${operations[i].line}`);
+      }
+
+      hunk = {
+        oldStart: oldLine - leading.length,
+        oldLines: leading.length,
+        newStart: newLine - leading.length,
+        newLines: leading.length,
+        lines: leading
+      };
+    }
+
+    trailing = 0;
+
+    if (operation.type === 'delete') {
+      hunk.lines.push(`-${operation.line}`);
+      hunk.oldLines++;
+      oldLine++;
+    } else {
+      hunk.lines.push(`+${operation.line}`);
+      hunk.newLines++;
+      newLine++;
+    }
+  });
+
+  if (hunk) {
+    hunks.push(hunk);
+  }
+
+  return hunks;
+};
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} oldText - Content before the change
+ * @param {string} newText - Content after the change
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.contextLines=3] - Unchanged lines to keep around each change
+ * @returns {Object} - Hunks plus the number of added and deleted lines
+ */
+const createLineDiff = (oldText, newText, options = {}) => {
+  const { contextLines = 3 } = options;
+  const operations = diffLines(splitLines(oldText), splitLines(newText));
+
+  return {
+    additions: operations.filter((operation) => operation.type === 'insert').length,
+    deletions: operations.filter((operation) => operation.type === 'delete').length,
+    hunks: createHunks(operations, contextLines)
+  };
+};
+
+/**
+ * Format a line diff as a unified patch for one file
+ * @param {string} oldPath - Path before the change
+ * @param {string} newPath - Path after the change
+ * @param {Object} lineDiff - Result of createLineDiff
+ * @returns {string} - Unified diff text
+ */
+const formatUnifiedDiff = (oldPath, newPath, lineDiff) => {
+  let output = `--- ${oldPath}\n+++ ${newPath}\n`;
+
+  lineDiff.hunks.forEach((hunk) => {
+    // An empty range starts at the line before it, as in GNU diff
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+
+    output += `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@\n`;
+
+    hunk.lines.forEach((line) => {
+      output += line.endsWith('\n') ? line : `${line}\n\\ No newline at end of file\n`;
+    });
+  });
+
+  return output;
+};
+
+module.exports = {
+  splitLines,
+  isBinaryContent,
+  diffLines,
+  createHunks,
+  createLineDiff,
+  formatUnifiedDiff
+};
@@ -0,0 +1,82 @@
+import { parseConventionalCommit, updateChangelog } from '../src/analyzers/commit-analyzer.js';
+
+describe('commit analyzer', () => {
+  describe('parseConventionalCommit', () => {
+    test('parses type, scope and breaking marker', () => {
+      expect(parseConventionalCommit('feat(api)!: drop v1 routes')).toEqual({
+        type: 'feat',
+        scope: 'api',
+        breaking: true,
+        description: 'drop v1 routes',
+        breakingNote: null
+      });
+    });
+
+    test('reads the breaking change note from the body', () => {
+      const parsed = parseConventionalCommit('fix: parse dates', 'Details.\n\nBREAKING CHANGE: dates are UTC');
+
+      expect(parsed.breaking).toBe(true);
+      expect(parsed.breakingNote).toBe('dates are UTC');
+    });
+
+    test('reads a breaking change note that spans lines', () => {
+      const body = 'Details.\n\nBREAKING CHANGE: dates are UTC\nand times are ISO strings\nReviewed-by: Jane';
+
+      expect(parseConventionalCommit('fix: parse dates', body).breakingNote).toBe('dates are UTC\nand times are ISO strings');
+    });
+
+    test('ends a breaking change note at a blank line', () => {
+      const body = 'BREAKING-CHANGE: config is required\nsee the README\n\nMore details.';
+
+      expect(parseConventionalCommit('feat: config', body).breakingNote).toBe('config is required\nsee the README');
+    });
+
+    test('only reads the footer at the start of a line', () => {
+      const parsed = parseConventionalCommit('fix: docs', 'Mention BREAKING CHANGE: in the guide');
+
+      expect(parsed.breaking).toBe(false);
+    });
+
+    test('returns null for other messages', () => {
+      expect(parseConventionalCommit('Update readme')).toBeNull();
+    });
+  });
+
+  describe('updateChangelog', () => {
+    const section = '## 1.1.0 (2024-02-01)\n\n### Features\n\n- b (2222222)\n';
+
+    test('starts a changelog when there is none', () => {
+      expect(updateChangelog('', section)).toBe(`# Changelog\n\n${section}`);
+    });
+
+    test('inserts the section above the newest release with a blank line between them', () => {
+      const content = '# Changelog\n\n## 1.0.0 (2024-01-01)\n\n- a (1111111)\n';
+
+      expect(updateChangelog(content, section)).toBe(
+        '# Changelog\n\n## 1.1.0 (2024-02-01)\n\n### Features\n\n- b (2222222)\n\n## 1.0.0 (2024-01-01)\n\n- a (1111111)\n'
+      );
+    });
+
+    test('replaces an existing Unreleased section', () => {
+      const content = '# Changelog\n\n## Unreleased (2024-01-15)\n\n- old (0000000)\n\n## 1.0.0 (2024-01-01)\n\n- a (1111111)\n';
+
+      expect(updateChangelog(content, section)).toBe(
+        '# Changelog\n\n## 1.1.0 (2024-02-01)\n\n### Features\n\n- b (2222222)\n\n## 1.0.0 (2024-01-01)\n\n- a (1111111)\n'
+      );
+    });
+
+    test('replaces an Unreleased section that is the only one', () => {
+      const unreleased = '## Unreleased (2024-02-01)\n\n- b (2222222)\n';
+
+      expect(updateChangelog('# Changelog\n\n## [Unreleased]\n\n- old (0000000)\n', unreleased)).toBe(
+        `# Changelog\n\n${unreleased}`
+      );
+    });
+
+    test('appends the section to a changelog without releases', () => {
+      expect(updateChangelog('# Changelog\n\nAll notable changes.\n', section)).toBe(
+        `# Changelog\n\nAll notable changes.\n\n${section}`
+      );
+    });
+  });
+});
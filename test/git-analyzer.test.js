@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { analyzeGitHistory, getRepoRoot, readGitLog, getFileBlame, listGitTags } from '../src/analyzers/git-analyzer.js';
+import { createFixtureRepo, createTempDirectory, commitFiles, commit, git, removeDirectory } from './helpers/git-fixture.js';
+
+describe('git analyzer', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createFixtureRepo();
+  });
+
+  afterEach(() => {
+    removeDirectory(repo);
+  });
+
+  describe('readGitLog', () => {
+    test('reads commits newest first with their file changes', async () => {
+      commitFiles(repo, { 'a.txt': 'one\n' }, 'Add a', { date: '2024-01-01T12:00:00Z' });
+      commitFiles(repo, { 'a.txt': 'one\ntwo\n', 'b.txt': 'b\n' }, 'Change a, add b', { date: '2024-02-01T12:00:00Z' });
+
+      const commits = await readGitLog(repo);
+
+      expect(commits.map(commit => commit.subject)).toEqual(['Change a, add b', 'Add a']);
+      expect(commits[0].author).toBe('Test Author');
+      expect(commits[0].email).toBe('test@example.com');
+      expect(commits[0].date).toEqual(new Date('2024-02-01T12:00:00Z'));
+      expect(commits[0].files).toEqual([
+        { path: 'a.txt', additions: 1, deletions: 0, binary: false },
+        { path: 'b.txt', additions: 1, deletions: 0, binary: false }
+      ]);
+    });
+
+    test('follows renames back to the latest path', async () => {
+      commitFiles(repo, { 'old.txt': 'line 1\nline 2\nline 3\nline 4\n' }, 'Add old');
+      git(repo, 'mv', 'old.txt', 'new.txt');
+      commit(repo, 'Rename old to new', { date: '2024-01-02T12:00:00Z' });
+      commitFiles(repo, { 'new.txt': 'line 1\nline 2\nline 3\nline 4\nline 5\n' }, 'Extend new', { date: '2024-01-03T12:00:00Z' });
+
+      const commits = await readGitLog(repo);
+      const [extend, rename, add] = commits.map(commit => commit.files[0]);
+
+      expect(extend).toMatchObject({ path: 'new.txt', additions: 1 });
+      expect(rename).toMatchObject({ path: 'new.txt', previousPath: 'old.txt' });
+      expect(rename).not.toHaveProperty('originalPath');
+      expect(add).toMatchObject({ path: 'new.txt', originalPath: 'old.txt', additions: 4 });
+    });
+
+    test('keeps paths with quotes, spaces, dollar signs and newlines intact', async () => {
+      const names = ['it\'s "quoted".txt', 'with space/$HOME.txt', 'line\nbreak.txt', 'tab\there.txt'];
+      commitFiles(repo, Object.fromEntries(names.map(name => [name, 'x\n'])), 'Add awkward names');
+
+      const [commit] = await readGitLog(repo);
+
+      expect(commit.files.map(file => file.path).sort()).toEqual([...names].sort());
+    });
+
+    test('keeps multi-line bodies and subjects with separators intact', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'fix: handle "$(quotes)"\n\nFirst paragraph.\n\nBREAKING CHANGE: second');
+
+      const [commit] = await readGitLog(repo, { body: true });
+
+      expect(commit.subject).toBe('fix: handle "$(quotes)"');
+      expect(commit.body).toBe('First paragraph.\n\nBREAKING CHANGE: second');
+      expect(commit.files).toHaveLength(1);
+    });
+
+    test('passes since as an argument instead of through a shell', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a');
+      const marker = path.join(repo, 'injected');
+
+      await readGitLog(repo, { since: `2020-01-01; touch ${marker}` });
+
+      expect(fs.existsSync(marker)).toBe(false);
+    });
+
+    test('limits commits and file changes to the pathspec', async () => {
+      commitFiles(repo, { 'src/a.js': 'a\n', 'docs/b.md': 'b\n' }, 'Add both');
+      commitFiles(repo, { 'docs/b.md': 'b\nc\n' }, 'Change docs');
+
+      const commits = await readGitLog(path.join(repo, 'src'), { pathspec: ['.'] });
+
+      expect(commits).toHaveLength(1);
+      expect(commits[0].files.map(file => file.path)).toEqual(['src/a.js']);
+    });
+
+    test('rejects revisions that look like options', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a');
+
+      await expect(readGitLog(repo, { revision: '--output=/tmp/x' })).rejects.toThrow('Invalid git ref: --output=/tmp/x');
+    });
+
+    test('rejects with git\'s error outside a repository', async () => {
+      const directory = createTempDirectory();
+
+      try {
+        await expect(readGitLog(directory)).rejects.toThrow(/not a git repository/i);
+      } finally {
+        removeDirectory(directory);
+      }
+    });
+  });
+
+  describe('analyzeGitHistory', () => {
+    const structureOf = (directory, files) => ({
+      path: directory,
+      type: 'directory',
+      children: files.map(file => ({ path: path.join(directory, file), name: path.basename(file), type: 'file' }))
+    });
+
+    test('reports the oldest and newest commit dates', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a', { date: '2024-01-01T12:00:00Z' });
+      commitFiles(repo, { 'a.txt': 'b\n' }, 'Change a', { date: '2024-03-01T12:00:00Z' });
+      commitFiles(repo, { 'a.txt': 'c\n' }, 'Change a again', { date: '2024-02-01T12:00:00Z' });
+
+      const history = await analyzeGitHistory(structureOf(repo, ['a.txt']));
+
+      expect(history.commits.total).toBe(3);
+      expect(history.commits.first).toEqual(new Date('2024-01-01T12:00:00Z'));
+      expect(history.commits.last).toEqual(new Date('2024-03-01T12:00:00Z'));
+    });
+
+    test('caps the commit list but not the history of each file', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a', { date: '2024-01-01T12:00:00Z' });
+      commitFiles(repo, { 'b.txt': 'b\n' }, 'Add b', { date: '2024-01-02T12:00:00Z' });
+      commitFiles(repo, { 'b.txt': 'c\n' }, 'Change b', { date: '2024-01-03T12:00:00Z' });
+
+      const history = await analyzeGitHistory(structureOf(repo, ['a.txt', 'b.txt']), { maxCommits: 1 });
+      const fileA = history.files.find(file => file.path === 'a.txt');
+
+      expect(history.commits.total).toBe(1);
+      expect(fileA.changes).toBe(1);
+      expect(fileA.lastModified).toEqual(new Date('2024-01-01T12:00:00Z'));
+    });
+  });
+
+  describe('getRepoRoot', () => {
+    test('finds the root from a subdirectory', async () => {
+      commitFiles(repo, { 'src/a.js': 'a\n' }, 'Add a');
+
+      expect(await getRepoRoot(path.join(repo, 'src'))).toBe(repo);
+    });
+
+    test('returns null outside a repository', async () => {
+      const directory = createTempDirectory();
+
+      try {
+        expect(await getRepoRoot(directory)).toBeNull();
+      } finally {
+        removeDirectory(directory);
+      }
+    });
+  });
+
+  describe('getFileBlame', () => {
+    test('blames files with awkward names', async () => {
+      const name = 'dir with space/it\'s "$USER".js';
+      commitFiles(repo, { [name]: 'one\ntwo\n' }, 'Add file');
+
+      const blame = await getFileBlame(name, repo, { lineDates: true });
+
+      expect(blame).toEqual([{
+        author: 'Test Author',
+        email: 'test@example.com',
+        lines: 2,
+        percentage: 100,
+        commits: 1,
+        lineDates: [1704110400, 1704110400]
+      }]);
+    });
+
+    test('returns no authors for a file git does not know', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a');
+
+      expect(await getFileBlame('missing.txt', repo)).toEqual([]);
+    });
+  });
+
+  describe('listGitTags', () => {
+    test('lists tags oldest first', async () => {
+      commitFiles(repo, { 'a.txt': 'a\n' }, 'Add a', { date: '2024-01-01T12:00:00Z' });
+      git(repo, 'tag', 'v1.0.0');
+      commitFiles(repo, { 'a.txt': 'b\n' }, 'Change a', { date: '2024-03-01T12:00:00Z' });
+      git(repo, 'tag', 'v1.1.0');
+
+      const tags = await listGitTags(repo);
+
+      expect(tags.map(tag => tag.name)).toEqual(['v1.0.0', 'v1.1.0']);
+      expect(tags[1].subject).toBe('Change a');
+    });
+  });
+});
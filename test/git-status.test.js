@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import { loadSource } from './helpers/load-commonjs.js';
+import { createFixtureRepo, createTempDirectory, commitFiles, git, removeDirectory } from './helpers/git-fixture.js';
+
+const { readGitStatus } = loadSource('git-status.js');
+
+describe('readGitStatus', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createFixtureRepo();
+    commitFiles(repo, {
+      '.gitignore': 'build/\n*.log\n',
+      'clean.txt': 'clean\n',
+      'modified.txt': 'a\n',
+      'staged.txt': 'a\n',
+      'both.txt': 'a\n',
+      'removed.txt': 'a\n',
+      'staged-removal.txt': 'a\n',
+      'untracked-again.txt': 'a\n',
+      'renamed-from.txt': 'line 1\nline 2\nline 3\n',
+      'src/with space.js': 'a\n'
+    }, 'Initial commit');
+  });
+
+  afterEach(() => {
+    removeDirectory(repo);
+  });
+
+  const write = (filePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(repo, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(repo, filePath), content);
+  };
+
+  test('reports the state of each changed file', async () => {
+    write('modified.txt', 'b\n');
+    write('staged.txt', 'b\n');
+    git(repo, 'add', 'staged.txt');
+    write('both.txt', 'b\n');
+    git(repo, 'add', 'both.txt');
+    write('both.txt', 'c\n');
+    write('src/with space.js', 'b\n');
+    write('new.txt', 'new\n');
+    write('debug.log', 'log\n');
+
+    const { files } = await readGitStatus(repo);
+
+    expect(Object.fromEntries(files)).toEqual({
+      'modified.txt': ['modified'],
+      'staged.txt': ['staged'],
+      'both.txt': ['staged', 'modified'],
+      'src/with space.js': ['modified'],
+      'new.txt': ['untracked'],
+      'debug.log': ['ignored']
+    });
+  });
+
+  test('reports ignored directories once', async () => {
+    write('build/out/a.js', 'a\n');
+    write('build/b.js', 'b\n');
+
+    const { files, ignoredDirectories } = await readGitStatus(repo);
+
+    expect(ignoredDirectories).toEqual(['build']);
+    expect(files.size).toBe(0);
+  });
+
+  test('reports files removed from the working tree as deleted', async () => {
+    fs.unlinkSync(path.join(repo, 'removed.txt'));
+    git(repo, 'rm', '-q', 'staged-removal.txt');
+
+    const { files, deleted } = await readGitStatus(repo);
+
+    expect(files.get('removed.txt')).toEqual(['deleted']);
+    expect(files.get('staged-removal.txt')).toEqual(['staged', 'deleted']);
+    expect(deleted.sort()).toEqual(['removed.txt', 'staged-removal.txt']);
+  });
+
+  test('does not report a file removed from the index only as deleted', async () => {
+    git(repo, 'rm', '-q', '--cached', 'untracked-again.txt');
+
+    const { files, deleted } = await readGitStatus(repo);
+
+    expect(files.get('untracked-again.txt')).toEqual(['staged', 'untracked']);
+    expect(deleted).toEqual([]);
+  });
+
+  test('reports a staged rename under its new path', async () => {
+    git(repo, 'mv', 'renamed-from.txt', 'renamed to.txt');
+
+    const { files } = await readGitStatus(repo);
+
+    expect(Object.fromEntries(files)).toEqual({ 'renamed to.txt': ['staged'] });
+  });
+
+  test('reports merge conflicts', async () => {
+    git(repo, 'checkout', '-q', '-b', 'other');
+    commitFiles(repo, { 'clean.txt': 'other\n' }, 'Change on other');
+    git(repo, 'checkout', '-q', 'main');
+    commitFiles(repo, { 'clean.txt': 'main\n' }, 'Change on main');
+
+    expect(() => git(repo, 'merge', '-q', 'other')).toThrow();
+
+    const { files } = await readGitStatus(repo);
+
+    expect(files.get('clean.txt')).toEqual(['conflicted']);
+  });
+
+  test('reports paths relative to a subdirectory', async () => {
+    write('src/with space.js', 'b\n');
+    write('src/new.js', 'new\n');
+    write('modified.txt', 'b\n');
+
+    const { files } = await readGitStatus(path.join(repo, 'src'));
+
+    expect(Object.fromEntries(files)).toEqual({
+      'with space.js': ['modified'],
+      'new.js': ['untracked']
+    });
+  });
+
+  test('rejects directories outside a repository', async () => {
+    const directory = createTempDirectory();
+
+    try {
+      await expect(readGitStatus(directory)).rejects.toThrow(`Not a git repository: ${directory}`);
+    } finally {
+      removeDirectory(directory);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import { loadSource } from './helpers/load-commonjs.js';
+import { createTempDirectory, removeDirectory } from './helpers/git-fixture.js';
+
+const { parseGitignore, createGitignoreMatcher } = loadSource('gitignore.js');
+
+describe('parseGitignore', () => {
+  test('skips blank lines and comments', () => {
+    expect(parseGitignore('\n# comment\n   \n*.log\n').map(rule => rule.pattern)).toEqual(['*.log']);
+  });
+
+  test.each([
+    ['*.log', { negated: false, directoryOnly: false, anchored: false }],
+    ['!keep.log', { negated: true, directoryOnly: false, anchored: false }],
+    ['build/', { negated: false, directoryOnly: true, anchored: false }],
+    ['/build', { negated: false, directoryOnly: false, anchored: true }],
+    ['docs/*.md', { negated: false, directoryOnly: false, anchored: true }],
+    ['/out/', { negated: false, directoryOnly: true, anchored: true }]
+  ])('parses %s', (line, expected) => {
+    expect(parseGitignore(line)[0]).toMatchObject(expected);
+  });
+
+  test('treats escaped # and ! as literal characters', () => {
+    const [hash, bang] = parseGitignore('\\#notes\n\\!important');
+
+    expect(hash.regex.test('#notes')).toBe(true);
+    expect(bang).toMatchObject({ negated: false });
+    expect(bang.regex.test('!important')).toBe(true);
+  });
+
+  test('drops unescaped trailing spaces', () => {
+    expect(parseGitignore('*.log   ')[0].regex.test('a.log')).toBe(true);
+  });
+});
+
+describe('createGitignoreMatcher', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = createTempDirectory();
+    fs.mkdirSync(path.join(repo, '.git', 'info'), { recursive: true });
+  });
+
+  afterEach(() => {
+    removeDirectory(repo);
+  });
+
+  const write = (filePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(repo, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(repo, filePath), content);
+  };
+
+  const isIgnored = (relativePath, isDirectory = false) =>
+    createGitignoreMatcher(repo).isIgnored(path.join(repo, relativePath), isDirectory);
+
+  test('matches unanchored patterns at any depth', () => {
+    write('.gitignore', '*.log\n');
+
+    expect(isIgnored('debug.log')).toBe(true);
+    expect(isIgnored('src/deep/debug.log')).toBe(true);
+    expect(isIgnored('src/debug.js')).toBe(false);
+  });
+
+  test('matches anchored patterns from the .gitignore directory only', () => {
+    write('.gitignore', '/build\ndocs/*.md\n');
+
+    expect(isIgnored('build', true)).toBe(true);
+    expect(isIgnored('src/build', true)).toBe(false);
+    expect(isIgnored('docs/a.md')).toBe(true);
+    expect(isIgnored('docs/api/a.md')).toBe(false);
+    expect(isIgnored('src/docs/a.md')).toBe(false);
+  });
+
+  test('applies directory-only rules to directories only', () => {
+    write('.gitignore', 'out/\n');
+
+    expect(isIgnored('out', true)).toBe(true);
+    expect(isIgnored('src/out', true)).toBe(true);
+    expect(isIgnored('out')).toBe(false);
+  });
+
+  test('re-includes files with a later negation', () => {
+    write('.gitignore', '*.log\n!keep.log\n');
+
+    expect(isIgnored('debug.log')).toBe(true);
+    expect(isIgnored('keep.log')).toBe(false);
+  });
+
+  test('lets the last matching rule win', () => {
+    write('.gitignore', '!keep.log\n*.log\n');
+
+    expect(isIgnored('keep.log')).toBe(true);
+  });
+
+  test('lets deeper .gitignore files override shallower ones', () => {
+    write('.gitignore', '*.tmp\n');
+    write('src/.gitignore', '!important.tmp\n');
+
+    expect(isIgnored('src/important.tmp')).toBe(false);
+    expect(isIgnored('src/other.tmp')).toBe(true);
+    expect(isIgnored('important.tmp')).toBe(true);
+  });
+
+  test('anchors patterns to the directory of their .gitignore', () => {
+    write('src/.gitignore', '/generated\n');
+
+    expect(isIgnored('src/generated', true)).toBe(true);
+    expect(isIgnored('generated', true)).toBe(false);
+    expect(isIgnored('src/lib/generated', true)).toBe(false);
+  });
+
+  test('applies .git/info/exclude with the lowest priority', () => {
+    write('.git/info/exclude', 'secret.txt\nlocal/\n');
+    write('.gitignore', '!secret.txt\n');
+
+    expect(isIgnored('secret.txt')).toBe(false);
+    expect(isIgnored('local', true)).toBe(true);
+    expect(isIgnored('local/notes.txt')).toBe(true);
+  });
+
+  test('does not re-include files under an ignored directory', () => {
+    write('.gitignore', 'logs/\n!logs/keep.log\n');
+    write('logs/.gitignore', '!keep.log\n');
+
+    expect(isIgnored('logs/keep.log')).toBe(true);
+    expect(isIgnored('logs/nested/keep.log')).toBe(true);
+  });
+
+  test('uses the repository root rules when scanning a subdirectory', () => {
+    write('.gitignore', '*.log\n');
+
+    const matcher = createGitignoreMatcher(path.join(repo, 'src'));
+
+    expect(matcher.isIgnored(path.join(repo, 'src', 'debug.log'))).toBe(true);
+    expect(matcher.isIgnored(path.join(repo, 'src', 'index.js'))).toBe(false);
+  });
+
+  test('never ignores the repository root or paths outside it', () => {
+    write('.gitignore', '*\n');
+
+    const matcher = createGitignoreMatcher(repo);
+
+    expect(matcher.isIgnored(repo, true)).toBe(false);
+    expect(matcher.isIgnored(path.dirname(repo), true)).toBe(false);
+  });
+
+  test('rereads rules after clear()', () => {
+    const matcher = createGitignoreMatcher(repo);
+    const file = path.join(repo, 'debug.log');
+
+    expect(matcher.isIgnored(file)).toBe(false);
+
+    write('.gitignore', '*.log\n');
+
+    expect(matcher.isIgnored(file)).toBe(false);
+
+    matcher.clear();
+
+    expect(matcher.isIgnored(file)).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+import { loadSource } from './helpers/load-commonjs.js';
+
+const { globToRegExp, matchesGlob, matchesAnyGlob, couldMatchInside } = loadSource('glob.js');
+
+describe('globToRegExp', () => {
+  test.each([
+    // `*` stays within a segment
+    ['*.js', 'index.js', true],
+    ['*.js', 'src/index.js', false],
+    ['src/*.js', 'src/index.js', true],
+    ['src/*.js', 'src/lib/index.js', false],
+
+    // `**/` matches zero or more directories
+    ['**/*.js', 'index.js', true],
+    ['**/*.js', 'src/lib/index.js', true],
+    ['src/**/test.js', 'src/test.js', true],
+    ['src/**/test.js', 'src/a/b/test.js', true],
+    ['src/**/test.js', 'lib/src/test.js', false],
+
+    // A trailing `/**` matches everything below, but not the directory itself
+    ['dist/**', 'dist/a.js', true],
+    ['dist/**', 'dist/a/b/c.js', true],
+    ['dist/**', 'dist', false],
+    ['dist/**', 'src/dist/a.js', false],
+
+    // `**` inside a segment is a plain `*`
+    ['a**b', 'axxb', true],
+    ['a**b', 'a/b', false],
+
+    // `?` matches one character other than a slash
+    ['file?.txt', 'file1.txt', true],
+    ['file?.txt', 'file10.txt', false],
+    ['a?b', 'a/b', false],
+
+    // Character classes, negated classes and ranges
+    ['file[0-9].txt', 'file5.txt', true],
+    ['file[0-9].txt', 'fileA.txt', false],
+    ['file[!0-9].txt', 'fileA.txt', true],
+    ['file[^0-9].txt', 'file5.txt', false],
+    ['[ab].js', 'b.js', true],
+    ['[]].js', '].js', true],
+    ['a[/]b', 'a/b', false],
+    ['a[!x]b', 'a/b', false],
+
+    // Backslash escapes and regular expression characters are literal
+    ['\\*.js', '*.js', true],
+    ['\\*.js', 'a.js', false],
+    ['snap\\[1\\].json', 'snap[1].json', true],
+    ['a+b(c).js', 'a+b(c).js', true],
+    ['a.js', 'abjs', false],
+    ['$HOME', '$HOME', true],
+
+    // An unclosed bracket is a literal
+    ['[abc', '[abc', true]
+  ])('%s against %s is %s', (pattern, relativePath, expected) => {
+    expect(globToRegExp(pattern).test(relativePath)).toBe(expected);
+  });
+
+  test('returns the same regular expression for a repeated pattern', () => {
+    expect(globToRegExp('src/**/*.js')).toBe(globToRegExp('src/**/*.js'));
+  });
+});
+
+describe('matchesGlob and matchesAnyGlob', () => {
+  test('match a path against one or several patterns', () => {
+    expect(matchesGlob('src/index.js', 'src/*.js')).toBe(true);
+    expect(matchesAnyGlob('README.md', ['*.js', '*.md'])).toBe(true);
+    expect(matchesAnyGlob('README.md', ['*.js', '*.ts'])).toBe(false);
+    expect(matchesAnyGlob('README.md', [])).toBe(false);
+  });
+});
+
+describe('couldMatchInside', () => {
+  test.each([
+    ['src', 'src/*.js', true],
+    ['lib', 'src/*.js', false],
+    ['src', '*.js', false],
+    ['src/lib', 'src/*.js', false],
+    ['src/lib', 'src/*/index.js', true],
+    ['src/lib', 'src/**/index.js', true],
+    ['anything/deep', '**/*.js', true],
+    ['packages/api', 'packages/*/src/**', true],
+    ['packages/api/test', 'packages/*/src/**', false],
+    ['file1', 'file?/*.txt', true],
+    ['file10', 'file?/*.txt', false]
+  ])('%s with %s is %s', (relativeDir, pattern, expected) => {
+    expect(couldMatchInside(relativeDir, pattern)).toBe(expected);
+  });
+});
@@ -0,0 +1,59 @@
+// Temporary git repositories for tests
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Commit with a fixed identity and without the user's global config
+const GIT_ENV = {
+  ...process.env,
+  GIT_CONFIG_GLOBAL: os.devNull,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_AUTHOR_NAME: 'Test Author',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test Author',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+// Create an empty directory under the system temp directory
+export function createTempDirectory() {
+  return fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ansa-fs-test-')));
+}
+
+// Create a repository with an empty history
+export function createFixtureRepo() {
+  const directory = createTempDirectory();
+  git(directory, 'init', '-q', '-b', 'main');
+  return directory;
+}
+
+// Run a git command in a fixture repository and return its output
+export function git(directory, ...args) {
+  return execFileSync('git', args, { cwd: directory, env: GIT_ENV, encoding: 'utf8' });
+}
+
+// Write files (path -> content) and commit them; options.date sets the commit date
+export function commitFiles(directory, files, message, options = {}) {
+  Object.entries(files).forEach(([filePath, content]) => {
+    fs.mkdirSync(path.dirname(path.join(directory, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(directory, filePath), content);
+  });
+
+  git(directory, 'add', '-A');
+  commit(directory, message, options);
+}
+
+// Commit what is staged
+export function commit(directory, message, options = {}) {
+  const date = options.date || '2024-01-01T12:00:00Z';
+
+  execFileSync('git', ['commit', '-q', '-m', message], {
+    cwd: directory,
+    env: { ...GIT_ENV, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+// Remove a fixture directory
+export function removeDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
@@ -0,0 +1,33 @@
+// Load the CommonJS modules under src/. The package is "type": "module", so Node (and Jest)
+// would parse them as ES modules; they are evaluated here the way the CommonJS loader would.
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const cache = new Map();
+
+export function loadCommonJs(filename) {
+  if (cache.has(filename)) {
+    return cache.get(filename).exports;
+  }
+
+  const module = { exports: {} };
+  cache.set(filename, module);
+
+  const requireFromFile = createRequire(filename);
+  const require = specifier => specifier.startsWith('.')
+    ? loadCommonJs(path.resolve(path.dirname(filename), specifier))
+    : requireFromFile(specifier);
+
+  const source = fs.readFileSync(filename, 'utf8');
+  const wrapper = new Function('exports', 'require', 'module', '__filename', '__dirname', source);
+  wrapper(module.exports, require, module, filename, path.dirname(filename));
+
+  return module.exports;
+}
+
+// Load a module by its path relative to src/
+export function loadSource(relativePath) {
+  return loadCommonJs(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src', relativePath));
+}
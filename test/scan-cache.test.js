@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { loadSource } from './helpers/load-commonjs.js';
+import { createTempDirectory, removeDirectory } from './helpers/git-fixture.js';
+
+const { DEFAULT_CACHE_FILE, resolveCachePath, loadScanCache, clearScanCache } = loadSource('scan-cache.js');
+
+describe('scan cache', () => {
+  let directory;
+  let cachePath;
+
+  const stats = { size: 12, mtimeMs: 1700000000000 };
+
+  beforeEach(() => {
+    directory = createTempDirectory();
+    cachePath = resolveCachePath(directory);
+  });
+
+  afterEach(() => {
+    removeDirectory(directory);
+  });
+
+  // Write a cache with one entry for a.js and load it again
+  const reload = async () => {
+    const cache = loadScanCache(cachePath);
+    cache.set('a.js', stats, { hash: 'abc' });
+    await cache.save();
+    return loadScanCache(cachePath);
+  };
+
+  test('resolves the cache file relative to the scanned directory', () => {
+    expect(resolveCachePath(directory)).toBe(path.join(directory, DEFAULT_CACHE_FILE));
+    expect(resolveCachePath(directory, '../cache.json')).toBe(path.join(path.dirname(directory), 'cache.json'));
+  });
+
+  test('reuses an entry while the size and modification time are unchanged', async () => {
+    const cache = await reload();
+
+    expect(cache.get('a.js', stats)).toEqual({ ...stats, hash: 'abc' });
+  });
+
+  test('drops an entry when the size changes', async () => {
+    const cache = await reload();
+
+    expect(cache.get('a.js', { ...stats, size: 13 })).toBeNull();
+  });
+
+  test('drops an entry when the modification time changes', async () => {
+    const cache = await reload();
+
+    expect(cache.get('a.js', { ...stats, mtimeMs: stats.mtimeMs + 1 })).toBeNull();
+  });
+
+  test('only writes back the files seen in the last scan', async () => {
+    const cache = await reload();
+    cache.set('b.js', stats, { hash: 'def' });
+    await cache.save();
+
+    const saved = loadScanCache(cachePath);
+
+    expect(saved.get('a.js', stats)).toBeNull();
+    expect(saved.get('b.js', stats)).toEqual({ ...stats, hash: 'def' });
+  });
+
+  test('ignores a cache written by another version', async () => {
+    fs.writeFileSync(cachePath, JSON.stringify({ version: 0, files: { 'a.js': { ...stats, hash: 'abc' } } }));
+
+    expect(loadScanCache(cachePath).get('a.js', stats)).toBeNull();
+  });
+
+  test('ignores a corrupt cache file', () => {
+    fs.writeFileSync(cachePath, '{"version": 1, "files": {');
+
+    expect(loadScanCache(cachePath).get('a.js', stats)).toBeNull();
+  });
+
+  test('starts empty without a cache file', () => {
+    expect(loadScanCache(cachePath).get('a.js', stats)).toBeNull();
+  });
+
+  test('clearScanCache removes the cache file', async () => {
+    await reload();
+
+    expect(await clearScanCache(cachePath)).toBe(true);
+    expect(fs.existsSync(cachePath)).toBe(false);
+    expect(await clearScanCache(cachePath)).toBe(false);
+  });
+});
@@ -0,0 +1,142 @@
+import { loadSource } from './helpers/load-commonjs.js';
+
+const { splitLines, isBinaryContent, diffLines, createLineDiff, formatUnifiedDiff } = loadSource('text-diff.js');
+
+// Numbered lines "1\n" to "count\n", with some lines replaced
+const numberedLines = (count, replacements = {}) =>
+  Array.from({ length: count }, (_, index) => `${replacements[index + 1] || index + 1}\n`).join('');
+
+// Rebuild both sides of a diff from its edit script
+const applyOperations = operations => ({
+  oldText: operations.filter(op => op.type !== 'insert').map(op => op.line).join(''),
+  newText: operations.filter(op => op.type !== 'delete').map(op => op.line).join('')
+});
+
+describe('splitLines', () => {
+  test('keeps line terminators and a last line without one', () => {
+    expect(splitLines('a\nb\n')).toEqual(['a\n', 'b\n']);
+    expect(splitLines('a\nb')).toEqual(['a\n', 'b']);
+    expect(splitLines('\n\n')).toEqual(['\n', '\n']);
+    expect(splitLines('')).toEqual([]);
+  });
+});
+
+describe('isBinaryContent', () => {
+  test('treats content with a NUL character as binary', () => {
+    expect(isBinaryContent('a\0b')).toBe(true);
+    expect(isBinaryContent('plain text\n')).toBe(false);
+  });
+});
+
+describe('createLineDiff', () => {
+  test('finds no hunks for identical texts', () => {
+    expect(createLineDiff('a\nb\n', 'a\nb\n')).toEqual({ additions: 0, deletions: 0, hunks: [] });
+  });
+
+  test('keeps three lines of context around a change', () => {
+    const diff = createLineDiff(numberedLines(10), numberedLines(10, { 5: 'five' }));
+
+    expect(diff.additions).toBe(1);
+    expect(diff.deletions).toBe(1);
+    expect(diff.hunks).toEqual([{
+      oldStart: 2,
+      oldLines: 7,
+      newStart: 2,
+      newLines: 7,
+      lines: [' 2\n', ' 3\n', ' 4\n', '-5\n', '+five\n', ' 6\n', ' 7\n', ' 8\n']
+    }]);
+  });
+
+  test('merges changes whose context overlaps into one hunk', () => {
+    // Six unchanged lines between the changes: both hunks' context covers them
+    const diff = createLineDiff(numberedLines(20), numberedLines(20, { 5: 'five', 12: 'twelve' }));
+
+    expect(diff.hunks).toHaveLength(1);
+    expect(diff.hunks[0]).toMatchObject({ oldStart: 2, oldLines: 14, newStart: 2, newLines: 14 });
+  });
+
+  test('splits changes further apart into separate hunks', () => {
+    // Seven unchanged lines between the changes
+    const diff = createLineDiff(numberedLines(20), numberedLines(20, { 5: 'five', 13: 'thirteen' }));
+
+    expect(diff.hunks.map(({ oldStart, oldLines }) => [oldStart, oldLines])).toEqual([[2, 7], [10, 7]]);
+  });
+
+  test('honors the number of context lines', () => {
+    const diff = createLineDiff(numberedLines(10), numberedLines(10, { 5: 'five' }), { contextLines: 0 });
+
+    expect(diff.hunks).toEqual([{ oldStart: 5, oldLines: 1, newStart: 5, newLines: 1, lines: ['-5\n', '+five\n'] }]);
+  });
+
+  test('diffs an empty file against a non-empty one', () => {
+    expect(createLineDiff('', 'a\nb\n').hunks).toEqual([
+      { oldStart: 1, oldLines: 0, newStart: 1, newLines: 2, lines: ['+a\n', '+b\n'] }
+    ]);
+    expect(createLineDiff('a\nb\n', '').hunks).toEqual([
+      { oldStart: 1, oldLines: 2, newStart: 1, newLines: 0, lines: ['-a\n', '-b\n'] }
+    ]);
+  });
+
+  test('replaces the changed block wholesale when the edit distance is too large', () => {
+    // Over 2000 edits apart, between an unchanged first and last line
+    const oldLines = Array.from({ length: 1500 }, (_, index) => `old ${index}\n`);
+    const newLines = Array.from({ length: 1500 }, (_, index) => `new ${index}\n`);
+    const oldText = ['first\n', ...oldLines, 'last\n'].join('');
+    const newText = ['first\n', ...newLines, 'last\n'].join('');
+
+    const operations = diffLines(splitLines(oldText), splitLines(newText));
+
+    expect(applyOperations(operations)).toEqual({ oldText, newText });
+    expect(operations.map(op => op.type)).toEqual([
+      'equal',
+      ...oldLines.map(() => 'delete'),
+      ...newLines.map(() => 'insert'),
+      'equal'
+    ]);
+  });
+
+  test('finds a shortest edit script below the edit limit', () => {
+    const oldText = 'a\nb\nc\na\nb\nb\na\n';
+    const newText = 'c\nb\na\nb\na\nc\n';
+
+    const operations = diffLines(splitLines(oldText), splitLines(newText));
+
+    expect(applyOperations(operations)).toEqual({ oldText, newText });
+    expect(operations.filter(op => op.type !== 'equal')).toHaveLength(5);
+  });
+});
+
+describe('formatUnifiedDiff', () => {
+  test('formats hunks with their headers', () => {
+    const diff = createLineDiff('a\nb\nc\n', 'a\nB\nc\n');
+
+    expect(formatUnifiedDiff('a/file.txt', 'b/file.txt', diff)).toBe(
+      '--- a/file.txt\n+++ b/file.txt\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+    );
+  });
+
+  test('marks lines without a newline at the end of the file', () => {
+    const diff = createLineDiff('a\nb', 'a\nc');
+
+    expect(formatUnifiedDiff('old', 'new', diff)).toBe(
+      '--- old\n+++ new\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+c\n\\ No newline at end of file\n'
+    );
+  });
+
+  test('shows an added final newline as a changed line', () => {
+    const diff = createLineDiff('a\nb', 'a\nb\n');
+
+    expect(formatUnifiedDiff('old', 'new', diff)).toBe(
+      '--- old\n+++ new\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+    );
+  });
+
+  test('starts empty ranges at the line before them', () => {
+    expect(formatUnifiedDiff('old', 'new', createLineDiff('', 'a\n'))).toBe(
+      '--- old\n+++ new\n@@ -0,0 +1,1 @@\n+a\n'
+    );
+    expect(formatUnifiedDiff('old', 'new', createLineDiff('a\n', ''))).toBe(
+      '--- old\n+++ new\n@@ -1,1 +0,0 @@\n-a\n'
+    );
+  });
+});